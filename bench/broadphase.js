@@ -0,0 +1,108 @@
+/* eslint-env node, es2021 */
+/* Broadphase benchmark: the typed-array SpatialGrid in core.js against the
+   previous string-keyed Map grid (kept below as `legacyCollisions`).
+
+   Usage: node bench/broadphase.js [steps] [wrap|bounce]
+   Add --expose-gc to start each run from a collected heap. Both worlds start
+   from the same snapshot and must end identical (same pairs, same order);
+   test/broadphase.test.js checks the pair order step by step. */
+'use strict';
+const { performance, PerformanceObserver } = require('perf_hooks');
+const { World, Entity, FIXED_DT, mod, DEFAULT_TYPE_IDS } = require('../core.js');
+
+const STEPS = Number(process.argv[2]) || 600;
+const WALL = process.argv[3] === 'bounce' ? 'bounce' : 'wrap';
+const SIZES = [500, 1200, 5000];
+
+/* ------------------------- Previous implementation ------------------------ */
+const cellKey = (ix, iy) => ix + '|' + iy;
+const clampIdx = (i, max) => (i < 0 ? 0 : i > max ? max : i);
+
+function legacyCollisions(world) {
+  const { cell: CELL, gw: GW, gh: GH, stats } = world; const wrap = world.wrap;
+  const grid = new Map();
+  stats.narrowPhase = 0; stats.contacts = 0; stats.wrappedLookups = 0;
+  for (const e of world.entities) {
+    const minx = Math.floor((e.x - e.r) / CELL), maxx = Math.floor((e.x + e.r) / CELL);
+    const miny = Math.floor((e.y - e.r) / CELL), maxy = Math.floor((e.y + e.r) / CELL);
+    for (let iy = miny; iy <= maxy; iy++) {
+      for (let ix = minx; ix <= maxx; ix++) {
+        const gx = wrap ? mod(ix, GW) : clampIdx(ix, GW - 1);
+        const gy = wrap ? mod(iy, GH) : clampIdx(iy, GH - 1);
+        const k = cellKey(gx, gy); let b = grid.get(k); if (!b) { b = []; grid.set(k, b); } b.push(e);
+      }
+    }
+  }
+  for (const [k, bucket] of grid) {
+    const [cx, cy] = k.split('|').map(Number);
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = wrap ? mod(cx + dx, GW) : (cx + dx);
+        const ny = wrap ? mod(cy + dy, GH) : (cy + dy);
+        if (nx < 0 || ny < 0 || nx >= GW || ny >= GH) continue;
+        if (wrap && (nx !== cx + dx || ny !== cy + dy)) stats.wrappedLookups++;
+        const nb = grid.get(cellKey(nx, ny));
+        if (!nb) continue;
+        for (const a of bucket) {
+          for (const b of nb) {
+            if (a === b || a._id > b._id) continue;
+            stats.narrowPhase++;
+            world.narrowPhase(a, b);
+          }
+        }
+      }
+    }
+  }
+}
+
+/* --------------------------------- Setup --------------------------------- */
+// Keeps the default 1200-in-800×600 density; entities are added directly to get past the caps.
+function makeSnapshot(n, wallMode = WALL) {
+  const scale = Math.sqrt(n / 1200);
+  const world = new World({ width: Math.round(800 * scale), height: Math.round(600 * scale), wallMode, radius: 6, seed: `bench-${n}`, counts: {}, logEvery: 0 });
+  for (let i = 0; i < n; i++) {
+    const { vx, vy } = world.randVel();
+    const x = world.rand(8, world.config.width - 8), y = world.rand(8, world.config.height - 8);
+    world.entities.push(new Entity(world.nextId++, i % DEFAULT_TYPE_IDS.length, x, y, 6, vx, vy));
+  }
+  return world.snapshot();
+}
+
+let gcCount = 0, gcMs = 0;
+
+async function run(snap, legacy) {
+  const world = new World({ counts: {} }).restore(snap);
+  if (legacy) world.handleCollisionsGrid = () => legacyCollisions(world);
+  if (global.gc) global.gc();
+  gcCount = 0; gcMs = 0;
+  let pairs = 0;
+  const t0 = performance.now();
+  for (let i = 0; i < STEPS; i++) { world.step(FIXED_DT); pairs += world.stats.narrowPhase; }
+  const ms = performance.now() - t0;
+  await new Promise(r => setTimeout(r, 50)); // gc entries are delivered asynchronously
+  return { world, msPerStep: ms / STEPS, pairs, gcCount, gcMs };
+}
+
+function fmt(r) {
+  return `${r.msPerStep.toFixed(3).padStart(8)} ms/step  gc ${String(r.gcCount).padStart(4)} (${r.gcMs.toFixed(1)} ms)`;
+}
+
+async function main() {
+  const obs = new PerformanceObserver(list => { for (const e of list.getEntries()) { gcCount++; gcMs += e.duration; } });
+  obs.observe({ entryTypes: ['gc'] });
+  console.log(`${STEPS} steps, ${WALL} walls${global.gc ? '' : ' (run with --expose-gc for steadier gc counts)'}`);
+  for (const n of SIZES) {
+    const snap = makeSnapshot(n);
+    const old = await run(snap, true);
+    const cur = await run(snap, false);
+    const same = JSON.stringify(old.world.snapshot()) === JSON.stringify(cur.world.snapshot()) && old.pairs === cur.pairs;
+    console.log(`\nn=${n}  (${snap.config.width}×${snap.config.height}, ${cur.pairs / STEPS | 0} pairs/step)  identical: ${same ? 'yes' : 'NO'}`);
+    console.log(`  Map grid    ${fmt(old)}`);
+    console.log(`  typed grid  ${fmt(cur)}   ${(old.msPerStep / cur.msPerStep).toFixed(2)}× faster`);
+    if (!same) process.exitCode = 1;
+  }
+  obs.disconnect();
+}
+
+if (require.main === module) main();
+else module.exports = { legacyCollisions, makeSnapshot };
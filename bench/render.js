@@ -0,0 +1,148 @@
+/* eslint-env browser, es2021 */
+/* global RPSRender */
+/* Render benchmark: frame times for RPSRender.drawPacked on the main thread
+   and in render-worker.js at the current entity cap and above it.
+
+   Open bench/render.html over http(s). Each run moves N packed entities
+   (seeded, bouncing off the edges) for a fixed number of frames and reports
+   the requestAnimationFrame interval (mean / p95), the main-thread cost per
+   frame, and for the worker how many frames were skipped because the previous
+   one was still drawing. A size fits the frame budget when its p95 interval
+   stays within 60 fps. */
+'use strict';
+(function () {
+  const SIZES = [1200, 2500, 5000];
+  const W = 1000, H = 640, R = 10;
+  const BUDGET_MS = 1000 / 60 + 1; // one 60 fps frame, plus vsync jitter
+  const TYPES = [
+    { shape: 'circle', letter: 'R' }, { shape: 'square', letter: 'P' }, { shape: 'triangle', letter: 'S' },
+    { shape: 'diamond', letter: 'L' }, { shape: 'pentagon', letter: 'Sp' },
+  ];
+  const COLORS = ['#6aa3ff', '#7ce0bc', '#ffad66', '#c792ea', '#ff6b9d'];
+  const { STRIDE, drawPacked } = RPSRender;
+
+  const out = document.getElementById('out');
+  const framesEl = document.getElementById('frames');
+  const patternsEl = document.getElementById('patterns');
+  const runBtn = document.getElementById('run');
+  const dpr = window.devicePixelRatio || 1;
+
+  function log(line) { out.textContent += line + '\n'; console.log(line); }
+
+  // Same positions for every run of a size: mulberry32 seeded with n
+  function makeEntities(n) {
+    let s = n >>> 0;
+    const rand = () => { s = (s + 0x6D2B79F5) >>> 0; let t = s; t = Math.imul(t ^ (t >>> 15), t | 1); t ^= t + Math.imul(t ^ (t >>> 7), t | 61); return ((t ^ (t >>> 14)) >>> 0) / 4294967296; };
+    const buf = new Float32Array(n * STRIDE), vel = new Float32Array(n * 2);
+    for (let i = 0, o = 0; i < n; i++, o += STRIDE) {
+      buf[o] = R + rand() * (W - 2 * R); buf[o + 1] = R + rand() * (H - 2 * R); buf[o + 2] = R; buf[o + 3] = i % TYPES.length;
+      const a = rand() * Math.PI * 2;
+      vel[i * 2] = Math.cos(a) * 2; vel[i * 2 + 1] = Math.sin(a) * 2;
+    }
+    return { n, buf, vel };
+  }
+
+  function move(ents, buf) {
+    for (let i = 0, o = 0; i < ents.n; i++, o += STRIDE) {
+      let x = ents.buf[o] + ents.vel[i * 2], y = ents.buf[o + 1] + ents.vel[i * 2 + 1];
+      if (x < R || x > W - R) { ents.vel[i * 2] *= -1; x = Math.max(R, Math.min(W - R, x)); }
+      if (y < R || y > H - R) { ents.vel[i * 2 + 1] *= -1; y = Math.max(R, Math.min(H - R, y)); }
+      ents.buf[o] = x; ents.buf[o + 1] = y;
+    }
+    // Copy into the transfer buffer, as packEntities does in sim.js
+    buf.set(ents.buf.subarray(0, ents.n * STRIDE));
+  }
+
+  function stats(list) {
+    const s = list.slice().sort((a, b) => a - b);
+    const mean = s.reduce((a, b) => a + b, 0) / (s.length || 1);
+    return { mean, p95: s[Math.min(s.length - 1, Math.floor(s.length * 0.95))] || 0 };
+  }
+
+  /** Runs `frames` animation frames of `frame()` (which returns its main-thread ms). */
+  function animate(frames, frame) {
+    return new Promise(resolve => {
+      const intervals = [], costs = [];
+      let last = 0, left = frames + 10; // the first frames warm up sprite caches and are dropped
+      function tick(now) {
+        if (last && left <= frames) intervals.push(now - last);
+        last = now;
+        const ms = frame();
+        if (left <= frames) costs.push(ms);
+        if (--left > 0) requestAnimationFrame(tick); else resolve({ frame: stats(intervals), cost: stats(costs) });
+      }
+      requestAnimationFrame(tick);
+    });
+  }
+
+  function freshCanvas() {
+    const c = document.createElement('canvas');
+    c.width = Math.floor(W * dpr); c.height = Math.floor(H * dpr);
+    c.style.width = W + 'px'; c.style.height = H + 'px';
+    document.getElementById('stage').replaceWith(c); c.id = 'stage';
+    return c;
+  }
+
+  async function runMain(ents, frames, opts) {
+    const ctx = freshCanvas().getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    const buf = new Float32Array(ents.n * STRIDE);
+    return animate(frames, () => {
+      const t0 = performance.now();
+      move(ents, buf);
+      ctx.clearRect(0, 0, W, H);
+      drawPacked(ctx, buf, ents.n, TYPES, COLORS, dpr, opts);
+      return performance.now() - t0;
+    });
+  }
+
+  async function runWorker(ents, frames, opts) {
+    const off = freshCanvas().transferControlToOffscreen();
+    const worker = new Worker('../render-worker.js');
+    let buf = new Float32Array(ents.n * STRIDE), busy = false, skipped = 0;
+    worker.onmessage = ({ data }) => { if (data.type === 'done') { buf = data.buf; busy = false; } };
+    worker.postMessage({ type: 'init', canvas: off }, [off]);
+    worker.postMessage({ type: 'resize', width: W, height: H, dpr });
+    worker.postMessage({ type: 'types', types: TYPES, colors: COLORS, opts });
+    try {
+      const res = await animate(frames, () => {
+        if (busy) { skipped++; return 0; }
+        const t0 = performance.now();
+        move(ents, buf);
+        worker.postMessage({ type: 'frame', buf, n: ents.n }, [buf.buffer]);
+        busy = true;
+        return performance.now() - t0;
+      });
+      return { ...res, skipped };
+    } finally {
+      worker.terminate();
+    }
+  }
+
+  async function run() {
+    runBtn.disabled = true; out.textContent = '';
+    const frames = Math.max(60, Math.min(2000, Number(framesEl.value) || 300));
+    const opts = { patterns: patternsEl.checked };
+    log(`${frames} frames per run, ${W}×${H} CSS px at dpr ${dpr}, budget ${BUDGET_MS.toFixed(1)} ms (p95)`);
+    log('mode    entities  frame mean / p95 ms  main-thread mean / p95 ms  skipped  fits');
+    const fits = { main: 0, worker: 0 };
+    try {
+      for (const mode of ['main', 'worker']) {
+        if (mode === 'worker' && !('transferControlToOffscreen' in HTMLCanvasElement.prototype)) { log('worker  OffscreenCanvas is not supported here'); continue; }
+        for (const n of SIZES) {
+          const r = await (mode === 'main' ? runMain : runWorker)(makeEntities(n), frames, opts);
+          const ok = r.frame.p95 <= BUDGET_MS && !(r.skipped > frames * 0.05);
+          if (ok) fits[mode] = n;
+          log(`${mode.padEnd(7)} ${String(n).padStart(8)}  ${r.frame.mean.toFixed(2).padStart(8)} / ${r.frame.p95.toFixed(2).padEnd(8)}  ${r.cost.mean.toFixed(2).padStart(14)} / ${r.cost.p95.toFixed(2).padEnd(9)}  ${String(r.skipped ?? '-').padStart(7)}  ${ok ? 'yes' : 'no'}`);
+        }
+      }
+      log(`Largest size within budget: main ${fits.main || 'none'}, worker ${fits.worker || 'none'}`);
+    } catch (err) {
+      log(`Failed: ${err.message || err}`);
+    } finally {
+      runBtn.disabled = false;
+    }
+  }
+
+  runBtn.addEventListener('click', run);
+})();
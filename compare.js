@@ -0,0 +1,356 @@
+/* eslint-env browser, es2021 */
+/* global RPSCore, World, MAX_ENTITIES_PER_TYPE, MAX_SEED_LEN, packEntities, drawPacked, storage, TypeIds, typeInputEls, wallModeEl, rngSeedStr, RULE_PRESETS, activeRuleset, loadSavedRulesets, normalizeRuleset, rulesetErrors, rulesetBeats, buildPalette, getTheme, drawOptions, drawSolids, configFromControls, clampCount, clampInput, addOption, fmtTime, outcomeMessage, CHART_PAD, CHART_REDRAW_MS, FAST_FORWARD_MS, running, pause, render, resizeCanvas, toast */
+/* Compare arenas: two to four independent worlds side by side, advanced in
+   lockstep by one shared clock. Each arena owns its world, canvas size,
+   palette, mix bar and sparkline; its seed, walls, ruleset and counts are its
+   own and the rest of the config comes from the main controls when the arenas
+   are reset. Loaded by index.html before sim.js (as `RPSCompare`); its
+   functions read sim.js globals when called. */
+window.RPSCompare = (function () {
+  'use strict';
+
+  const comparePanel = document.getElementById('comparePanel');
+  const compareCountEl = document.getElementById('compareCount');
+  const compareStartBtn = document.getElementById('compareStartBtn');
+  const compareStepBtn = document.getElementById('compareStepBtn');
+  const compareResetBtn = document.getElementById('compareResetBtn');
+  const compareClockEl = document.getElementById('compareClock');
+  const compareGridEl = document.getElementById('compareGrid');
+  const compareModeEl = document.getElementById('compareMode');
+  const compareKeyEl = document.getElementById('compareKey');
+  const compareChartEl = document.getElementById('compareChart');
+  const compareStepsEl = document.getElementById('compareSteps');
+  const compareRateEl = document.getElementById('compareRate');
+  const compareObstaclesEl = document.getElementById('compareObstacles');
+  const compareObstacleNoteEl = document.getElementById('compareObstacleNote');
+  const stageEl = document.querySelector('.stage');
+
+  const ARENA_DASH = [[], [7, 4], [2, 3], [10, 3, 2, 3]]; // chart line style per arena
+  const ARENA_DASH_KEY = ['───', '– – –', '·····', '—·—'];
+  let arenas = [];
+  // The shared clock; independent of the main run's time rate and step count
+  const clock = { tick: 0, dt: RPSCore.FIXED_DT, acc: 0, last: 0, running: false, anim: null };
+  let lastCompareChart = 0;
+
+  function storedArenaSettings() {
+    try { return JSON.parse(storage.getItem('rps_compare')) || []; } catch { return []; }
+  }
+  function saveArenaSettings() { storage.setItem('rps_compare', JSON.stringify(arenas.map(a => a.settings))); }
+
+  function clampCompareSteps() {
+    const n = Math.max(1, Math.min(10000, parseInt(compareStepsEl.value, 10) || 1));
+    compareStepsEl.value = String(n);
+    return n;
+  }
+
+  /** Obstacle `o` drawn on a canvas scaled by (sx, sy); radii and thickness scale by the smaller factor. */
+  function scaleObstacle(o, sx, sy) {
+    const k = Math.min(sx, sy);
+    if (o.kind === 'circle') return { ...o, x: o.x * sx, y: o.y * sy, r: o.r * k };
+    if (o.kind === 'wall') return { ...o, x1: o.x1 * sx, y1: o.y1 * sy, x2: o.x2 * sx, y2: o.y2 * sy, w: o.w * k };
+    return { ...o, pts: o.pts.map((v, i) => v * (i % 2 ? sy : sx)) };
+  }
+
+  /** Ruleset for an arena's choice ('active', 'preset:<name>' or 'saved:<name>'), else the active one. */
+  function arenaRuleset(choice) {
+    const [kind, name] = String(choice).split(/:(.*)/s);
+    const rs = kind === 'preset' ? RULE_PRESETS[name] : kind === 'saved' ? loadSavedRulesets()[name] : null;
+    if (!rs) return activeRuleset;
+    const norm = normalizeRuleset(rs);
+    return rulesetErrors(norm).ok ? norm : activeRuleset;
+  }
+
+  /** Arena card with its own settings, canvas, mix bar and sparkline; `s` is its stored settings. */
+  function createArena(i, s) {
+    const el = document.createElement('div'); el.className = 'arena-card';
+    el.innerHTML = `<div class="row arena-head"><strong>Arena ${i + 1}</strong></div><div class="row arena-counts"></div>` +
+      `<canvas class="arena-canvas" aria-label="Arena ${i + 1}"></canvas><div class="mixbar"></div><canvas class="arena-spark" aria-label="Arena ${i + 1} population mix over time"></canvas>` +
+      '<div class="legend stat">—</div>';
+    const a = { index: i, settings: s, el, world: null, types: [], palette: {}, opts: {}, packBuf: null, segs: [], W: 0, H: 0, SW: 0, SH: 0, dpr: 1 };
+    a.canvas = el.querySelector('.arena-canvas'); a.ctx = a.canvas.getContext('2d');
+    a.spark = el.querySelector('.arena-spark'); a.sctx = a.spark.getContext('2d');
+    a.mixEl = el.querySelector('.mixbar'); a.countsEl = el.querySelector('.arena-counts'); a.noteEl = el.querySelector('.stat');
+
+    const head = el.querySelector('.arena-head');
+    a.seedEl = Object.assign(document.createElement('input'), { type: 'text', value: s.seed, maxLength: MAX_SEED_LEN });
+    a.wallEl = document.createElement('select');
+    addOption(a.wallEl, 'bounce', 'Bounce'); addOption(a.wallEl, 'wrap', 'Wrap');
+    a.wallEl.value = s.wallMode;
+    a.rulesEl = document.createElement('select');
+    addOption(a.rulesEl, 'active', `${activeRuleset.name} (current)`);
+    Object.keys(RULE_PRESETS).forEach(k => addOption(a.rulesEl, 'preset:' + k, k));
+    Object.keys(loadSavedRulesets()).forEach(k => addOption(a.rulesEl, 'saved:' + k, `${k} (saved)`));
+    a.rulesEl.value = s.rules; if (a.rulesEl.selectedIndex < 0) a.rulesEl.value = s.rules = 'active';
+    [[a.seedEl, 'seed'], [a.wallEl, 'walls'], [a.rulesEl, 'ruleset']].forEach(([input, what]) => {
+      input.setAttribute('aria-label', `Arena ${i + 1} ${what}`);
+      input.addEventListener('change', () => {
+        s.seed = a.seedEl.value; s.wallMode = a.wallEl.value; s.rules = a.rulesEl.value;
+        saveArenaSettings(); resetArenas();
+      });
+      head.appendChild(input);
+    });
+    return a;
+  }
+
+  /** Count inputs and mix segments for the arena's ruleset; kept while its type ids don't change. */
+  function buildArenaTypes(a, rs) {
+    const ids = rs.types.map(t => t.id);
+    a.palette = buildPalette(rs.types); a.opts = drawOptions();
+    if (ids.join() !== a.types.map(t => t.id).join()) {
+      a.countsEl.innerHTML = ''; a.mixEl.innerHTML = ''; a.segs = [];
+      rs.types.forEach(t => {
+        const label = document.createElement('label'); label.textContent = t.letter; label.title = t.label;
+        const input = Object.assign(document.createElement('input'), { type: 'number', min: '0', max: String(MAX_ENTITIES_PER_TYPE), step: '1', value: String(clampCount(a.settings.counts[t.id] ?? 20)) });
+        input.setAttribute('aria-label', `Arena ${a.index + 1} ${t.label}`);
+        input.addEventListener('change', () => { clampInput(input); a.settings.counts[t.id] = Number(input.value); saveArenaSettings(); resetArenas(); });
+        label.appendChild(input); a.countsEl.appendChild(label);
+        const seg = document.createElement('div'); seg.className = 'seg'; seg.style.width = '0%';
+        a.mixEl.appendChild(seg); a.segs.push(seg);
+      });
+    }
+    a.types = rs.types;
+    a.segs.forEach((seg, t) => { seg.style.background = a.palette[a.types[t].id]; });
+  }
+
+  /** Rebuilds the cards for the chosen number of arenas; new ones copy the main controls, alternating walls. */
+  function buildArenas() {
+    const n = Math.max(2, Math.min(4, Number(compareCountEl.value) || 2));
+    const stored = storedArenaSettings();
+    const counts = Object.fromEntries(TypeIds.map((id, i) => [id, Number(typeInputEls[i].value)]));
+    const other = wallModeEl.value === 'wrap' ? 'bounce' : 'wrap';
+    compareGridEl.innerHTML = '';
+    arenas = [];
+    for (let i = 0; i < n; i++) {
+      const s = stored[i] || { seed: rngSeedStr, wallMode: i % 2 ? other : wallModeEl.value, rules: 'active', counts: { ...counts } };
+      const a = createArena(i, s);
+      compareGridEl.appendChild(a.el); arenas.push(a);
+    }
+    saveArenaSettings();
+    compareKeyEl.textContent = arenas.map((a, i) => `Arena ${i + 1} ${ARENA_DASH_KEY[i]}`).join('   ');
+  }
+
+  function sizeArena(a) {
+    const rect = a.canvas.getBoundingClientRect(), srect = a.spark.getBoundingClientRect();
+    a.W = rect.width; a.H = rect.height; a.SW = srect.width; a.SH = srect.height; a.dpr = window.devicePixelRatio || 1;
+    a.canvas.width = Math.floor(a.W * a.dpr); a.canvas.height = Math.floor(a.H * a.dpr);
+    a.ctx.setTransform(a.dpr, 0, 0, a.dpr, 0, 0);
+    a.spark.width = Math.floor(a.SW * a.dpr); a.spark.height = Math.floor(a.SH * a.dpr);
+    a.sctx.setTransform(a.dpr, 0, 0, a.dpr, 0, 0);
+  }
+
+  /**
+   * New worlds for every arena, all at tick 0. Obstacles drawn on the main canvas
+   * are copied, scaled to each arena, only when "Copy obstacles" is ticked.
+   */
+  function resetArenas() {
+    pauseCompare();
+    clock.tick = 0;
+    const base = configFromControls(), copy = compareObstaclesEl.checked;
+    const n = base.obstacles.length, plural = n === 1 ? '' : 's';
+    compareObstacleNoteEl.textContent = !n ? '' : copy ? `${n} obstacle${plural} copied, scaled to each arena` : `${n} obstacle${plural} on the main canvas left out`;
+    arenas.forEach(a => {
+      sizeArena(a);
+      const rs = arenaRuleset(a.settings.rules);
+      buildArenaTypes(a, rs);
+      a.world = new World({
+        ...base, width: a.W, height: a.H, seed: a.settings.seed, wallMode: a.settings.wallMode,
+        types: rs.types.map(t => t.id), beats: rulesetBeats(rs),
+        obstacles: copy ? base.obstacles.map(o => scaleObstacle(o, a.W / base.width, a.H / base.height)) : [],
+        counts: rs.types.map(t => clampCount(a.settings.counts[t.id] ?? 20)),
+      });
+    });
+    compareStartBtn.textContent = 'Start';
+    drawArenas(); updateArenaStats(true);
+  }
+
+  function arenasDone() { return arenas.every(a => a.world.isFinished()); }
+
+  /** One shared tick: every arena still running advances one fixed step. */
+  function stepArenas() {
+    clock.tick++;
+    arenas.forEach(a => { if (!a.world.isFinished()) a.world.step(clock.dt); });
+  }
+
+  function compareFrame() {
+    const now = performance.now();
+    let dt = (now - clock.last) / 1000; if (dt > 0.1) dt = 0.1; clock.last = now;
+    if (compareRateEl.value === 'max') {
+      const until = now + FAST_FORWARD_MS;
+      do stepArenas(); while (performance.now() < until && !arenasDone());
+    } else {
+      clock.acc += dt * (Number(compareRateEl.value) || 1);
+      while (clock.acc >= clock.dt && !arenasDone()) { stepArenas(); clock.acc -= clock.dt; }
+    }
+    drawArenas(); updateArenaStats();
+    if (arenasDone()) { pauseCompare(); compareStartBtn.textContent = 'Start'; toast('All arenas finished'); return; }
+    if (clock.running) clock.anim = requestAnimationFrame(compareFrame);
+  }
+
+  function startPauseCompare() {
+    if (clock.running) { pauseCompare(); return; }
+    if (!arenas.length || arenasDone()) resetArenas();
+    clock.running = true; clock.acc = 0; clock.last = performance.now();
+    compareStartBtn.textContent = 'Pause';
+    compareFrame();
+  }
+
+  function pauseCompare() {
+    if (!clock.running) return;
+    clock.running = false; if (clock.anim != null) cancelAnimationFrame(clock.anim); clock.anim = null;
+    compareStartBtn.textContent = 'Resume';
+  }
+
+  function stepArenasBy(n) {
+    pauseCompare();
+    for (let i = 0; i < n && !arenasDone(); i++) stepArenas();
+    drawArenas(); updateArenaStats(true);
+  }
+
+  function drawArenas() {
+    arenas.forEach(a => {
+      a.ctx.clearRect(0, 0, a.W, a.H);
+      drawSolids(a.ctx, a.world);
+      a.packBuf = packEntities(a.world.entities, a.packBuf);
+      drawPacked(a.ctx, a.packBuf, a.world.entities.length, a.types, a.types.map(t => a.palette[t.id]), a.dpr, a.opts);
+    });
+  }
+
+  /** Per-sample counts of a log, bucketed to about one column per pixel of `width`. */
+  function logColumns(log, width) {
+    const per = Math.max(1, Math.ceil(log.length / Math.max(1, width)));
+    const cols = [];
+    for (let i = per - 1; i < log.length + per - 1; i += per) {
+      const j = Math.min(log.length - 1, i);
+      cols.push({ tick: log.ticks[j], vals: log.countsAt(j) });
+    }
+    return cols;
+  }
+
+  function drawArenaSpark(a) {
+    const c = a.sctx, W = a.SW, H = a.SH, log = a.world.log;
+    c.clearRect(0, 0, W, H);
+    if (log.length < 2) return;
+    const cols = logColumns(log, W), last = cols[cols.length - 1].tick || 1;
+    c.lineWidth = 1.5;
+    a.types.forEach((t, ti) => {
+      c.strokeStyle = a.palette[t.id]; c.beginPath();
+      cols.forEach((col, k) => {
+        const x = col.tick / last * W, y = H * (1 - col.vals[ti] / (col.vals.reduce((p, q) => p + q, 0) || 1));
+        if (k) c.lineTo(x, y); else c.moveTo(x, y);
+      });
+      c.stroke();
+    });
+  }
+
+  function updateArenaStats(force = false) {
+    arenas.forEach(a => {
+      const w = a.world, counts = w.getCounts(), total = w.entities.length || 1;
+      counts.forEach((n, t) => { a.segs[t].style.width = (n / total * 100).toFixed(2) + '%'; });
+      const tally = counts.map((n, t) => `${a.types[t].letter} ${n}`).join(' • ');
+      a.noteEl.textContent = w.isFinished() ? `${outcomeMessage(w)} (${fmtTime(w.tick)}) — ${tally}` : tally;
+      drawArenaSpark(a);
+    });
+    const done = arenas.filter(a => a.world.isFinished()).length;
+    compareClockEl.textContent = `Shared clock: ${fmtTime(clock.tick)} (tick ${clock.tick}) • ${done} of ${arenas.length} finished`;
+    drawCompareChart(force);
+  }
+
+  /** Every arena's population curves on one set of axes; line style tells the arenas apart. */
+  function drawCompareChart(force = false) {
+    const now = performance.now();
+    if (!force && now - lastCompareChart < CHART_REDRAW_MS) return;
+    lastCompareChart = now;
+    const rect = compareChartEl.getBoundingClientRect();
+    const W = rect.width, H = rect.height, dpr = window.devicePixelRatio || 1;
+    compareChartEl.width = Math.floor(W * dpr); compareChartEl.height = Math.floor(H * dpr);
+    const c = compareChartEl.getContext('2d');
+    c.setTransform(dpr, 0, 0, dpr, 0, 0);
+    c.clearRect(0, 0, W, H);
+    const theme = getTheme();
+    const last = Math.max(0, ...arenas.map(a => (a.world.log.length > 1 ? a.world.log.ticks[a.world.log.length - 1] : 0)));
+    if (!last) { c.fillStyle = theme.muted; c.font = '12px system-ui'; c.fillText('No history yet', CHART_PAD.l, H / 2); return; }
+
+    const share = compareModeEl.value === 'share';
+    const pw = W - CHART_PAD.l - CHART_PAD.r, ph = H - CHART_PAD.t - CHART_PAD.b;
+    const series = arenas.map(a => logColumns(a.world.log, pw));
+    const ymax = share ? 1 : Math.max(1, ...series.flatMap(cols => cols.map(col => Math.max(...col.vals))));
+    const xOf = tick => CHART_PAD.l + tick / last * pw, yOf = val => CHART_PAD.t + ph * (1 - val / ymax);
+
+    c.strokeStyle = theme.line; c.fillStyle = theme.muted; c.lineWidth = 1; c.font = '11px system-ui';
+    c.textAlign = 'right'; c.textBaseline = 'middle';
+    for (let k = 0; k <= 4; k++) {
+      const val = ymax * k / 4, y = yOf(val);
+      c.globalAlpha = 0.5; c.beginPath(); c.moveTo(CHART_PAD.l, y); c.lineTo(W - CHART_PAD.r, y); c.stroke(); c.globalAlpha = 1;
+      c.fillText(share ? `${Math.round(val * 100)}%` : String(Math.round(val)), CHART_PAD.l - 4, y);
+    }
+    c.textAlign = 'center'; c.textBaseline = 'top';
+    for (let k = 0; k <= 5; k++) c.fillText(fmtTime(last * k / 5), Math.min(W - 24, Math.max(CHART_PAD.l + 12, xOf(last * k / 5))), H - CHART_PAD.b + 4);
+
+    c.save();
+    c.beginPath(); c.rect(CHART_PAD.l, CHART_PAD.t, pw, ph); c.clip();
+    c.lineWidth = 2;
+    arenas.forEach((a, k) => {
+      c.setLineDash(ARENA_DASH[k]);
+      a.types.forEach((t, ti) => {
+        c.strokeStyle = a.palette[t.id]; c.beginPath();
+        series[k].forEach((col, j) => {
+          const v = share ? col.vals[ti] / (col.vals.reduce((p, q) => p + q, 0) || 1) : col.vals[ti];
+          if (j) c.lineTo(xOf(col.tick), yOf(v)); else c.moveTo(xOf(col.tick), yOf(v));
+        });
+        c.stroke();
+      });
+    });
+    c.restore();
+  }
+
+  /** Re-reads palettes after a display change. */
+  function recolorArenas() {
+    arenas.forEach(a => buildArenaTypes(a, { types: a.types }));
+    drawArenas(); updateArenaStats(true);
+  }
+
+  /** Keeps each world the size of its canvas, like the main arena on resize. */
+  function resizeArenas() {
+    arenas.forEach(a => {
+      sizeArena(a);
+      if (a.world.config.width !== a.W || a.world.config.height !== a.H) a.world.applyEvent({ type: 'config', patch: { width: a.W, height: a.H } });
+    });
+    drawArenas(); updateArenaStats(true);
+  }
+
+  // Opening the panel swaps the main canvas for the arenas and pauses the main run.
+  comparePanel.addEventListener('toggle', () => {
+    stageEl.classList.toggle('comparing', comparePanel.open);
+    if (comparePanel.open) {
+      if (running) pause();
+      buildArenas(); resetArenas();
+    } else {
+      pauseCompare(); resizeCanvas(); render();
+    }
+  });
+  compareCountEl.addEventListener('change', () => { buildArenas(); resetArenas(); });
+  compareStartBtn.addEventListener('click', startPauseCompare);
+  compareStepBtn.addEventListener('click', () => stepArenasBy(clampCompareSteps()));
+  compareResetBtn.addEventListener('click', resetArenas);
+  compareObstaclesEl.addEventListener('change', () => {
+    storage.setItem('rps_compareObstacles', compareObstaclesEl.checked ? '1' : '0');
+    resetArenas();
+  });
+  compareModeEl.addEventListener('change', () => drawCompareChart(true));
+  window.addEventListener('resize', () => { if (comparePanel.open) resizeArenas(); });
+
+  return {
+    /** Restores stored panel settings; called once sim.js has loaded. */
+    init() { compareObstaclesEl.checked = storage.getItem('rps_compareObstacles') === '1'; },
+    /** Whether the arenas are showing in place of the main canvas. */
+    isOpen: () => comparePanel.open,
+    startPause: startPauseCompare,
+    /** Pauses and advances every arena by `n` shared ticks. */
+    stepBy: stepArenasBy,
+    /** The panel's own step count, for Shift+→. */
+    stepCount: clampCompareSteps,
+    reset: resetArenas,
+    /** Re-reads palettes after a display change. */
+    recolor: recolorArenas,
+  };
+})();
@@ -0,0 +1,1266 @@
+/* eslint-env browser, node, es2021 */
+/* Headless simulation core: rules, RNG, entities, spawning and grid collisions.
+   No DOM access. In the browser it is loaded as a classic script and exposed as
+   `RPSCore`; in Node use `require('./core.js')`. */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.RPSCore = api;
+})(typeof self !== 'undefined' ? self : globalThis, function () {
+  'use strict';
+
+  const MAX_ENTITIES_PER_TYPE = 500;
+  const MAX_SEED_LEN = 128;
+  const MAX_TOTAL_ENTITIES = 1200;
+  const FIXED_DT = 1 / 60;
+
+  // Physics defaults (px/s and unitless); restitution and the clamp are per-world config
+  const REST = 1.0;       // restitution for collisions
+  const VMAX = 600;       // max speed clamp (px/s)
+  const EPS = 1e-3;      // positional slop
+  const MASS_RULES = ['area', 'radius', 'equal'];
+  const STEER_DEFAULTS = { sense: 80, force: 150, turn: 4 }; // px, px/s², rad/s
+  const STEER_MIN_SPEED = 40; // px/s a steering entity speeds up to when nearly at rest
+  const DEFEAT_MODES = ['convert', 'remove'];
+  const OUTCOMES = ['win', 'draw', 'extinct', 'timeout', 'stalemate', 'cycle'];
+  const TREND_EVERY = 30;   // ticks between the population samples used for cycle detection
+  const FLAT_RANGE = 0.03;  // a type whose share moves less than this over the window counts as flat
+  const CYCLE_CORR = 0.8;   // lagged correlation needed to call a cycle
+  const MAX_HITS = 20;
+
+  /* ============================== Beats Rules ============================= */
+  const DEFAULT_TYPE_IDS = ['circle', 'square', 'triangle', 'lizard', 'spock'];
+
+  // Rock crushes Scissors & Lizard
+  // Paper covers Rock & disproves Spock
+  // Scissors cut Paper & decapitate Lizard
+  // Lizard poisons Spock & eats Paper
+  // Spock smashes Scissors & vaporizes Rock
+  const DEFAULT_BEATS = {
+    circle: ['triangle', 'lizard'],
+    square: ['circle', 'spock'],
+    triangle: ['square', 'lizard'],
+    lizard: ['spock', 'square'],
+    spock: ['triangle', 'circle'],
+  };
+
+  function buildBeatsMap(beats) {
+    return new Map(Object.entries(beats).map(([k, arr]) => [k, new Set(arr)]));
+  }
+
+  /** Lists every rule problem as `{ type, target?, message }` (empty when valid). */
+  function ruleErrors(typeIds, beatsMap) {
+    const ids = new Set(typeIds);
+    const errors = [];
+    for (const [a, outs] of beatsMap) {
+      if (!ids.has(a)) { errors.push({ type: a, message: `Rule references unknown type: ${a}` }); continue; }
+      outs.forEach(b => {
+        if (!ids.has(b)) errors.push({ type: a, target: b, message: `Unknown target '${b}' in beats[${a}]` });
+        else if (b === a) errors.push({ type: a, target: b, message: `Type '${a}' cannot beat itself` });
+        else if (beatsMap.get(b)?.has(a)) errors.push({ type: a, target: b, message: `Conflict: both '${a}→${b}' and '${b}→${a}'` });
+      });
+    }
+    return errors;
+  }
+
+  function validateRules(typeIds, beatsMap) {
+    const errors = ruleErrors(typeIds, beatsMap);
+    if (errors.length) throw new Error(errors[0].message);
+  }
+
+  function winnerOf(beatsMap, aId, bId) {
+    if (aId === bId) return null;
+    const A = beatsMap.get(aId), B = beatsMap.get(bId);
+    if (A?.has(bId)) return aId;
+    if (B?.has(aId)) return bId;
+    return null;
+  }
+
+  /* ================================= RNG ================================= */
+  function xfnv1a(str) { let h = 0x811c9dc5; for (let i = 0; i < str.length; i++) { h ^= str.charCodeAt(i); h = Math.imul(h, 0x01000193); } return h >>> 0 }
+  // The returned generator exposes its internal counter so runs can be snapshotted and resumed exactly.
+  function mulberry32(a) {
+    const next = function () { let t = a += 0x6D2B79F5; t = Math.imul(t ^ (t >>> 15), t | 1); t ^= t + Math.imul(t ^ (t >>> 7), t | 61); return ((t ^ (t >>> 14)) >>> 0) / 4294967296; };
+    next.getState = () => a;
+    next.setState = s => { a = s; };
+    return next;
+  }
+
+  const mod = (n, m) => ((n % m) + m) % m;
+  function clampIdx(ix, max) { return Math.max(0, Math.min(ix, max)); }
+
+  /* ============================== Entity ================================= */
+  class Entity {
+    constructor(id, typeIndex, x, y, r, vx, vy) {
+      this._id = id;
+      this.t = typeIndex; // index into the world's type list
+      this.x = x; this.y = y; this.r = r; this.vx = vx; this.vy = vy; // vx/vy in px/s
+      this.setRadius(r);
+      this.wins = 0; this.flips = 0; // others converted by this entity; times it was converted
+      this.damage = 0; this.immuneUntil = 0; // hits taken toward the next flip; sim time its immunity ends
+      this.dead = false; // removed by a defeat, dropped at the end of the step
+    }
+    /** Compact tuple used by snapshots; `Entity.fromState` is its inverse. */
+    state() { return [this._id, this.t, this.x, this.y, this.r, this.vx, this.vy, this.wins, this.flips, this.damage, this.immuneUntil]; }
+    static fromState([id, t, x, y, r, vx, vy, wins = 0, flips = 0, damage = 0, immuneUntil = 0]) {
+      const e = new Entity(id, t, x, y, r, vx, vy);
+      e.wins = wins; e.flips = flips; e.damage = damage; e.immuneUntil = immuneUntil;
+      return e;
+    }
+    setRadius(r) { this.r = r; this.mass = r * r; this.side = r * Math.sqrt(2); this.base = r * 2; }
+    update(w, h, dt, spd, wrap, vmax = VMAX) {
+      const adv = dt * spd;
+      this.x += this.vx * adv; this.y += this.vy * adv;
+      if (wrap) {
+        this.x = mod(this.x, w); this.y = mod(this.y, h);
+      } else {
+        if (this.x - this.r < 0) { this.x = this.r; this.vx = Math.abs(this.vx); }
+        if (this.x + this.r > w) { this.x = w - this.r; this.vx = -Math.abs(this.vx); }
+        if (this.y - this.r < 0) { this.y = this.r; this.vy = Math.abs(this.vy); }
+        if (this.y + this.r > h) { this.y = h - this.r; this.vy = -Math.abs(this.vy); }
+      }
+      clampVel(this, vmax);
+    }
+  }
+
+  function clampVel(e, vmax = VMAX) {
+    const v2 = e.vx * e.vx + e.vy * e.vy;
+    if (v2 > vmax * vmax) { const s = vmax / Math.sqrt(v2); e.vx *= s; e.vy *= s; }
+  }
+
+  function massOf(e, rule) { return rule === 'equal' ? 1 : rule === 'radius' ? e.r : e.mass; }
+
+  /* =============================== World ================================= */
+  const DEFAULT_CONFIG = {
+    width: 800, height: 600,
+    speed: 1,             // time multiplier applied to velocities
+    wallMode: 'bounce',   // 'bounce' | 'wrap'
+    radius: 12,
+    counts: {},           // { [typeId]: n } or an array aligned with `types`
+    seed: 'rps-12345',
+    types: DEFAULT_TYPE_IDS,
+    beats: DEFAULT_BEATS,
+    logEvery: 1,          // ticks between population samples; 0 disables the log
+    spawnMode: 'uniform', // 'uniform' | 'jittered' | 'poisson'
+    layout: 'mixed',      // 'mixed' | 'quadrants' | 'sectors' | 'rings' | 'mask'
+    mask: null,           // density mask for layout 'mask' (see parseMask)
+    restitution: REST,    // 1 = perfectly elastic
+    drag: 0,              // linear drag per simulated second (velocity decays by e^-drag·t)
+    vmax: VMAX,           // velocity clamp (px/s)
+    jitter: 0,            // Brownian kick: velocity noise in px/s per √s
+    massRule: 'area',     // 'area' (r²) | 'radius' (r) | 'equal'
+    typeSpeed: {},        // { [typeId]: multiplier } on how far a type moves per step
+    typeRadius: {},       // { [typeId]: px } overriding `radius`; when set, converts take the winner's size
+    odds: {},             // { 'winner>loser': p } chance a contact along that beats edge lands (default 1)
+    hits: 1,              // landed contacts a loser takes before it is defeated
+    immunity: 0,          // seconds a freshly converted entity cannot be hit
+    onDefeat: 'convert',  // 'convert' | 'remove'
+    arena: 'box',         // 'box' | 'circle' | 'corridor' | 'rooms' (see arenaSolids)
+    obstacles: [],        // user-drawn solids (see validObstacle)
+    steering: false,      // chase the types you beat and flee the ones that beat you
+    typeSteer: {},        // { [typeId]: { sense, force, turn } } overriding STEER_DEFAULTS
+    maxTicks: 0,          // end as 'timeout' after this many ticks; 0 = no limit
+    quietFor: 0,          // end as 'stalemate' after this many seconds without a conversion; 0 = off
+    cycleWindow: 0,       // seconds of population history checked for cycles and flat stalemates; 0 = off
+  };
+
+  /* ============================= Spatial grid ============================ */
+  function grow(arr, need) {
+    if (need <= arr.length) return arr;
+    const out = new arr.constructor(Math.max(need, arr.length * 2));
+    out.set(arr);
+    return out;
+  }
+
+  /**
+   * Uniform-grid broadphase on typed arrays, rebuilt every step without
+   * allocating (arrays only grow). Buckets are filled by a counting sort, so a
+   * cell lists its entities in insertion order and occupied cells are visited
+   * in order of first use — the same pair order as the old Map-of-arrays grid.
+   */
+  class SpatialGrid {
+    constructor() {
+      this.gw = 1; this.gh = 1;
+      this.size = 0;                        // occupied cells
+      this.cells = new Int32Array(64);      // occupied cell indices, first-use order
+      this.count = new Int32Array(1);       // per cell
+      this.start = new Int32Array(1);       // per cell: offset into `items`
+      this.cursor = new Int32Array(1);      // per cell: write position during sort()
+      this.nSlots = 0;
+      this.slotCell = new Int32Array(256);  // (cell, entity index) pairs as added
+      this.slotEnt = new Int32Array(256);
+      this.items = new Int32Array(256);     // entity indices grouped by cell
+    }
+
+    resize(gw, gh) {
+      this.clear();
+      this.gw = gw; this.gh = gh;
+      const n = gw * gh;
+      if (n > this.count.length) { this.count = new Int32Array(n); this.start = new Int32Array(n); this.cursor = new Int32Array(n); }
+    }
+
+    clear() {
+      for (let i = 0; i < this.size; i++) this.count[this.cells[i]] = 0;
+      this.size = 0; this.nSlots = 0;
+    }
+
+    add(cell, ent) {
+      const k = this.nSlots++;
+      if (k >= this.slotCell.length) { this.slotCell = grow(this.slotCell, k + 1); this.slotEnt = grow(this.slotEnt, k + 1); }
+      this.slotCell[k] = cell; this.slotEnt[k] = ent;
+      if (this.count[cell]++ === 0) {
+        if (this.size >= this.cells.length) this.cells = grow(this.cells, this.size + 1);
+        this.cells[this.size++] = cell;
+      }
+    }
+
+    /** Groups the added entries by cell; call once after the last add(). */
+    sort() {
+      const { cells, count, start, cursor } = this;
+      let off = 0;
+      for (let i = 0; i < this.size; i++) { const c = cells[i]; start[c] = cursor[c] = off; off += count[c]; }
+      this.items = grow(this.items, off);
+      const { items, slotCell, slotEnt } = this;
+      for (let k = 0; k < this.nSlots; k++) items[cursor[slotCell[k]]++] = slotEnt[k];
+    }
+
+    forEachCell(fn) {
+      for (let i = 0; i < this.size; i++) { const c = this.cells[i]; fn(c % this.gw, Math.floor(c / this.gw), this.count[c]); }
+    }
+  }
+
+  /* =============================== Spawning ============================== */
+  const SPAWN_MODES = ['uniform', 'jittered', 'poisson'];
+  const LAYOUTS = ['mixed', 'quadrants', 'sectors', 'rings', 'mask'];
+
+  /** Point buckets for spawn-time overlap checks: O(1) per query instead of a scan of every entity. */
+  class SpawnIndex {
+    constructor(W, H, cell, items = [], blocked = null) {
+      this.cell = Math.max(1, cell);
+      this.blocked = blocked; // optional (x, y, r) => bool for static obstacles
+      this.gw = Math.max(1, Math.ceil(W / this.cell)); this.gh = Math.max(1, Math.ceil(H / this.cell));
+      this.buckets = Array.from({ length: this.gw * this.gh }, () => []);
+      for (const it of items) this.add(it);
+    }
+
+    add(it) { this.buckets[clampIdx(Math.floor(it.x / this.cell), this.gw - 1) + clampIdx(Math.floor(it.y / this.cell), this.gh - 1) * this.gw].push(it); }
+
+    /** Same test as World#overlapsAny (plus `blocked`); `cell` must be at least the largest r + it.r. */
+    overlaps(x, y, r) {
+      if (this.blocked && this.blocked(x, y, r)) return true;
+      const cx = clampIdx(Math.floor(x / this.cell), this.gw - 1), cy = clampIdx(Math.floor(y / this.cell), this.gh - 1);
+      for (let iy = Math.max(0, cy - 1); iy <= Math.min(this.gh - 1, cy + 1); iy++) {
+        for (let ix = Math.max(0, cx - 1); ix <= Math.min(this.gw - 1, cx + 1); ix++) {
+          for (const it of this.buckets[ix + iy * this.gw]) {
+            const dx = x - it.x, dy = y - it.y;
+            if (dx * dx + dy * dy < (r + it.r) * (r + it.r)) return true;
+          }
+        }
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Density mask `{ w, h, data }`: `data` holds w×h hex digits (0 = empty,
+   * f = densest), row by row. Returns null when malformed or empty.
+   */
+  function parseMask(mask) {
+    if (!mask || !Number.isInteger(mask.w) || !Number.isInteger(mask.h) || mask.w < 1 || mask.h < 1) return null;
+    const n = mask.w * mask.h;
+    if (typeof mask.data !== 'string' || mask.data.length !== n || /[^0-9a-f]/i.test(mask.data)) return null;
+    const cum = new Float64Array(n);
+    let total = 0;
+    for (let i = 0; i < n; i++) { total += parseInt(mask.data[i], 16); cum[i] = total; }
+    if (!total) return null;
+    return { w: mask.w, h: mask.h, cum, total, mean: total / (15 * n), at: (u, v) => parseInt(mask.data[clampIdx(Math.floor(u * mask.w), mask.w - 1) + clampIdx(Math.floor(v * mask.h), mask.h - 1) * mask.w], 16) / 15 };
+  }
+
+  function boxArea(b) { return Math.max(0, b.x1 - b.x0) * Math.max(0, b.y1 - b.y0); }
+  function clampToBox(x, y, b) { return [Math.min(Math.max(x, b.x0), b.x1), Math.min(Math.max(y, b.y0), b.y1)]; }
+
+  // Rejection sampling inside `box`; falls back to the last candidate after `tries`.
+  function sampleWhere(box, contains, tries = 200) {
+    return rand => {
+      let x, y;
+      for (let i = 0; i < tries; i++) { x = rand(box.x0, box.x1); y = rand(box.y0, box.y1); if (contains(x, y)) break; }
+      return [x, y];
+    };
+  }
+
+  /**
+   * Where each of `n` types may spawn inside a W×H arena with margin `m`.
+   * Returns one region per type; types sharing a region object are placed
+   * together. A region has a bounding `box`, an `area`, `contains(x, y)`,
+   * `sample(rand)` and, for masks, `weight(x, y)` in [0, 1].
+   */
+  function layoutRegions(layout, n, W, H, m, mask) {
+    const box = { x0: m, y0: m, x1: W - m, y1: H - m };
+    const whole = { box, area: boxArea(box), contains: () => true, sample: rand => [rand(box.x0, box.x1), rand(box.y0, box.y1)] };
+    const cx = W / 2, cy = H / 2;
+    switch (layout) {
+      case 'quadrants': {
+        // One block per type on a near-square grid (2×2 for four types)
+        const cols = Math.ceil(Math.sqrt(n)), rows = Math.ceil(n / cols);
+        const bw = W / cols, bh = H / rows;
+        return Array.from({ length: n }, (_, i) => {
+          const x = (i % cols) * bw, y = Math.floor(i / cols) * bh;
+          const b = { x0: x + m, y0: y + m, x1: Math.max(x + m, x + bw - m), y1: Math.max(y + m, y + bh - m) };
+          return { box: b, area: boxArea(b), contains: () => true, sample: rand => [rand(b.x0, b.x1), rand(b.y0, b.y1)] };
+        });
+      }
+      case 'sectors': {
+        // Pie slices clockwise from 12 o'clock
+        const span = 2 * Math.PI / n;
+        return Array.from({ length: n }, (_, i) => {
+          const contains = (x, y) => Math.floor(mod(Math.atan2(y - cy, x - cx) + Math.PI / 2, 2 * Math.PI) / span) === i;
+          return { box, area: whole.area / n, contains, sample: sampleWhere(box, contains) };
+        });
+      }
+      case 'rings': {
+        // Equal-area annuli, first type innermost
+        const R = Math.max(1, Math.min(W, H) / 2 - m);
+        const b = { x0: cx - R, y0: cy - R, x1: cx + R, y1: cy + R };
+        return Array.from({ length: n }, (_, i) => {
+          const r0 = R * Math.sqrt(i / n), r1 = R * Math.sqrt((i + 1) / n);
+          const contains = (x, y) => { const d = Math.hypot(x - cx, y - cy); return d >= r0 && d < r1; };
+          const sample = rand => { const a = rand(0, 2 * Math.PI), d = Math.sqrt(rand(r0 * r0, r1 * r1)); return [cx + Math.cos(a) * d, cy + Math.sin(a) * d]; };
+          return { box: b, area: Math.PI * R * R / n, contains, sample };
+        });
+      }
+      case 'mask': {
+        // All types mixed, drawn in proportion to the mask's brightness
+        const g = parseMask(mask);
+        if (!g) return Array(n).fill(whole);
+        const sample = rand => {
+          const t = rand(0, g.total);
+          let lo = 0, hi = g.cum.length - 1;
+          while (lo < hi) { const mid = (lo + hi) >> 1; if (g.cum[mid] > t) hi = mid; else lo = mid + 1; }
+          const gx = lo % g.w, gy = (lo - gx) / g.w;
+          return clampToBox((gx + rand(0, 1)) * W / g.w, (gy + rand(0, 1)) * H / g.h, box);
+        };
+        return Array(n).fill({ box, area: whole.area * g.mean, contains: () => true, sample, weight: (x, y) => g.at(x / W, y / H) });
+      }
+      default: return Array(n).fill(whole);
+    }
+  }
+
+  /** Cell centres on a grid sized for `count` points, picked by weight, each jittered without crossing into a neighbour. */
+  function jitteredPoints(region, count, r, rand) {
+    const { box } = region;
+    let s = Math.sqrt(region.area / Math.max(1, count)), cells = [];
+    for (let pass = 0; pass < 8; pass++) {
+      cells = [];
+      for (let y = box.y0 + s / 2; y < box.y1; y += s) {
+        for (let x = box.x0 + s / 2; x < box.x1; x += s) {
+          const w = !region.contains(x, y) ? 0 : region.weight ? region.weight(x, y) : 1;
+          if (w > 0) cells.push({ x, y, w });
+        }
+      }
+      if (cells.length >= count) break;
+      s *= 0.85;
+    }
+    // Weighted sampling without replacement: keep the largest u^(1/w)
+    for (const c of cells) c.k = Math.pow(rand(0, 1), 1 / c.w);
+    cells.sort((a, b) => b.k - a.k);
+    const j = Math.max(0, s - 2 * r - 2);
+    return cells.slice(0, count).map(c => clampToBox(c.x + rand(-0.5, 0.5) * j, c.y + rand(-0.5, 0.5) * j, box));
+  }
+
+  /**
+   * Dart-throwing Poisson-disk sample: at most `count` points no closer than
+   * ~0.7 of the mean spacing (never below 2r + 2), also clear of the entities
+   * already in `placed`.
+   */
+  function poissonPoints(region, count, r, rand, W, H, placed) {
+    const d = Math.max(2 * r + 2, 0.7 * Math.sqrt(region.area / Math.max(1, count)));
+    const index = new SpawnIndex(W, H, d);
+    const pts = [];
+    for (let tries = 0; pts.length < count && tries < count * 30; tries++) {
+      const [x, y] = region.sample(rand);
+      if (index.overlaps(x, y, d / 2) || placed.overlaps(x, y, r)) continue;
+      index.add({ x, y, r: d / 2 }); pts.push([x, y]);
+    }
+    return pts;
+  }
+
+  /* ============================== Obstacles ============================== */
+  // Static solids in arena pixels:
+  //   { kind: 'circle', x, y, r }
+  //   { kind: 'wall', x1, y1, x2, y2, w }   segment of thickness w (round ends)
+  //   { kind: 'poly', pts: [x0, y0, x1, y1, …] }   simple polygon, solid inside
+  //   { kind: 'rim', x, y, r }               inside-out circle: keeps entities within r (arena presets only)
+  const ARENAS = ['box', 'circle', 'corridor', 'rooms'];
+  const NO_WRAP_ARENAS = ['circle', 'rooms']; // wrapping would let entities bypass their walls
+  const OBSTACLE_KINDS = ['circle', 'wall', 'poly'];
+
+  const finite = (...v) => v.every(Number.isFinite);
+
+  /** True for a well-formed user obstacle (see the kinds above). */
+  function validObstacle(o) {
+    if (!o || !OBSTACLE_KINDS.includes(o.kind)) return false;
+    if (o.kind === 'circle') return finite(o.x, o.y, o.r) && o.r > 0;
+    if (o.kind === 'wall') return finite(o.x1, o.y1, o.x2, o.y2, o.w) && o.w > 0;
+    return Array.isArray(o.pts) && o.pts.length >= 6 && o.pts.length % 2 === 0 && finite(...o.pts);
+  }
+
+  /** Solids a preset arena adds inside a W×H canvas. */
+  function arenaSolids(arena, W, H) {
+    const rect = (x0, y0, x1, y1) => ({ kind: 'poly', pts: [x0, y0, x1, y0, x1, y1, x0, y1] });
+    switch (arena) {
+      case 'circle': return [{ kind: 'rim', x: W / 2, y: H / 2, r: Math.min(W, H) / 2 - 2 }];
+      case 'corridor': { // a horizontal band a third of the height tall
+        // The walls overhang the canvas so their nearest face is always the corridor side
+        const h = Math.max(H / 3, 80), y0 = (H - h) / 2;
+        return [rect(-W, -H, 2 * W, y0), rect(-W, y0 + h, 2 * W, 2 * H)];
+      }
+      case 'rooms': { // left and right rooms joined by a gap in the middle of the divider
+        const gap = Math.max(H / 5, 48), w = 16;
+        return [
+          { kind: 'wall', x1: W / 2, y1: -w, x2: W / 2, y2: (H - gap) / 2, w },
+          { kind: 'wall', x1: W / 2, y1: (H + gap) / 2, x2: W / 2, y2: H + w, w },
+        ];
+      }
+      default: return [];
+    }
+  }
+
+  function solidBox(o) {
+    switch (o.kind) {
+      case 'circle': case 'rim': return { x0: o.x - o.r, y0: o.y - o.r, x1: o.x + o.r, y1: o.y + o.r };
+      case 'wall': return { x0: Math.min(o.x1, o.x2) - o.w / 2, y0: Math.min(o.y1, o.y2) - o.w / 2, x1: Math.max(o.x1, o.x2) + o.w / 2, y1: Math.max(o.y1, o.y2) + o.w / 2 };
+      default: {
+        const xs = o.pts.filter((v, i) => i % 2 === 0), ys = o.pts.filter((v, i) => i % 2 === 1);
+        return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+      }
+    }
+  }
+
+  const contact = { nx: 0, ny: 0 }; // outward normal of the last solidDepth() call
+
+  function closestOnSegment(px, py, x1, y1, x2, y2) {
+    const dx = x2 - x1, dy = y2 - y1, L2 = dx * dx + dy * dy;
+    const t = L2 ? Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / L2)) : 0;
+    return [x1 + dx * t, y1 + dy * t];
+  }
+
+  function normalTo(dx, dy, d, sign = 1) {
+    if (d > 1e-9) { contact.nx = sign * dx / d; contact.ny = sign * dy / d; } else { contact.nx = 0; contact.ny = -1; }
+  }
+
+  /**
+   * How far a disc of radius r at (x, y) sinks into solid `o` (≤ 0: no
+   * contact). Sets `contact` to the direction that pushes it back out.
+   */
+  function solidDepth(x, y, r, o) {
+    switch (o.kind) {
+      case 'circle': { const dx = x - o.x, dy = y - o.y, d = Math.hypot(dx, dy); normalTo(dx, dy, d); return o.r + r - d; }
+      case 'rim': { const dx = x - o.x, dy = y - o.y, d = Math.hypot(dx, dy); normalTo(dx, dy, d, -1); return d + r - o.r; }
+      case 'wall': {
+        const [qx, qy] = closestOnSegment(x, y, o.x1, o.y1, o.x2, o.y2);
+        const dx = x - qx, dy = y - qy, d = Math.hypot(dx, dy);
+        normalTo(dx, dy, d); return o.w / 2 + r - d;
+      }
+      default: {
+        const p = o.pts, n = p.length / 2;
+        let best = Infinity, bx = x, by = y, inside = false;
+        for (let i = 0, j = n - 1; i < n; j = i++) {
+          const x1 = p[2 * j], y1 = p[2 * j + 1], x2 = p[2 * i], y2 = p[2 * i + 1];
+          if ((y2 > y) !== (y1 > y) && x < (x1 - x2) * (y - y2) / (y1 - y2) + x2) inside = !inside;
+          const [qx, qy] = closestOnSegment(x, y, x1, y1, x2, y2);
+          const d2 = (x - qx) * (x - qx) + (y - qy) * (y - qy);
+          if (d2 < best) { best = d2; bx = qx; by = qy; }
+        }
+        const d = Math.sqrt(best);
+        normalTo(x - bx, y - by, d, inside ? -1 : 1);
+        return inside ? d + r : r - d;
+      }
+    }
+  }
+
+  /** Pushes `e` out of solid `o` and mirrors the part of its velocity heading in, like the box walls. Returns true on contact. */
+  function collideSolid(e, o) {
+    const depth = solidDepth(e.x, e.y, e.r, o);
+    if (!(depth > 0)) return false;
+    const { nx, ny } = contact;
+    e.x += nx * (depth + EPS); e.y += ny * (depth + EPS);
+    const vn = e.vx * nx + e.vy * ny;
+    if (vn < 0) { e.vx -= 2 * vn * nx; e.vy -= 2 * vn * ny; }
+    return true;
+  }
+
+  /* ============================ Population log =========================== */
+  /** Type counts every `every` ticks, plus one record per conversion. */
+  class PopulationLog {
+    constructor(typeCount, every = 1) {
+      this.typeCount = typeCount; this.every = every;
+      this.ticks = [];
+      this.counts = [];      // flat: `typeCount` values per sample
+      this.conversions = []; // { tick, x, y, winner, loser, from, to } — ids and type indices; `to` is -1 for a removal
+    }
+    get length() { return this.ticks.length; }
+    sample(tick, counts) { this.ticks.push(tick); for (const c of counts) this.counts.push(c); }
+    countsAt(i) { return this.counts.slice(i * this.typeCount, (i + 1) * this.typeCount); }
+    /** Drops everything logged after `tick` (used when a world is rewound). */
+    truncate(tick) {
+      let n = this.ticks.length; while (n > 0 && this.ticks[n - 1] > tick) n--;
+      this.ticks.length = n; this.counts.length = n * this.typeCount;
+      let m = this.conversions.length; while (m > 0 && this.conversions[m - 1].tick > tick) m--;
+      this.conversions.length = m;
+    }
+
+    /** Plain copy for saving; `PopulationLog.from` is its inverse. */
+    toJSON() {
+      return { typeCount: this.typeCount, every: this.every, ticks: this.ticks.slice(), counts: this.counts.slice(), conversions: this.conversions.map(c => ({ ...c })) };
+    }
+    static from(data) {
+      const log = new PopulationLog(data.typeCount, data.every);
+      log.ticks = data.ticks.slice(); log.counts = data.counts.slice(); log.conversions = data.conversions.map(c => ({ ...c }));
+      return log;
+    }
+
+    /** Conversions entity `id` took part in, on either side, oldest first. */
+    historyOf(id) { return this.conversions.filter(c => c.winner === id || c.loser === id); }
+
+    /** Conversions per `'from>to'` type-index pair (`to` is -1 for removals) logged up to `tick`. */
+    pairTotals(tick = Infinity) {
+      const totals = new Map();
+      for (const c of this.conversions) {
+        if (c.tick > tick) break;
+        const k = `${c.from}>${c.to}`; totals.set(k, (totals.get(k) || 0) + 1);
+      }
+      return totals;
+    }
+
+    /**
+     * "Patient zero" of type `t`: the entity that started the longest chain of
+     * conversions into `t`, each made by an earlier link that was still a `t`.
+     * Returns { root, chain } with the chain's conversions in order, or null.
+     */
+    lineage(t) {
+      const rootOf = new Map(), chains = new Map();
+      for (const c of this.conversions) {
+        if (c.to !== t) { rootOf.delete(c.loser); continue; }
+        let root = rootOf.get(c.winner);
+        if (root == null) { root = c.winner; rootOf.set(root, root); if (!chains.has(root)) chains.set(root, []); }
+        rootOf.set(c.loser, root); chains.get(root).push(c);
+      }
+      let best = null;
+      chains.forEach((chain, root) => { if (!best || chain.length > best.chain.length) best = { root, chain }; });
+      return best;
+    }
+
+    /** Overwrites the sample at `tick`, if that is the latest one (after an edit mid-tick). */
+    update(tick, counts) {
+      const n = this.ticks.length;
+      if (!n || this.ticks[n - 1] !== tick) return;
+      for (let i = 0; i < this.typeCount; i++) this.counts[(n - 1) * this.typeCount + i] = counts[i];
+    }
+  }
+
+  class World {
+    constructor(config = {}) {
+      this.config = { ...DEFAULT_CONFIG, ...config };
+      this.types = this.config.types.slice();
+      this.beatsMap = buildBeatsMap(this.config.beats);
+      validateRules(this.types, this.beatsMap);
+      this.grid = new SpatialGrid(); this.cell = 40; this.gw = 1; this.gh = 1;
+      this.stats = { narrowPhase: 0, contacts: 0, wrappedLookups: 0, obstacleHits: 0 }; // counters for the last step
+      this.debug = null; // set to {} to collect per-step wrap diagnostics (see handleCollisionsGrid)
+      this.reset();
+    }
+
+    /** Re-seeds the RNG and re-spawns every type from `config.counts`. */
+    reset() {
+      this.seed = String(this.config.seed).slice(0, MAX_SEED_LEN);
+      this.rng = mulberry32(xfnv1a(this.seed));
+      this.entities = []; this.nextId = 1; this.tick = 0; this.time = 0;
+      this.capped = []; // [{ type, want, got }] for counts cut down by the caps
+      this.lastConversionAt = 0; this.trend = []; this.pattern = null;
+      this.log = new PopulationLog(this.types.length, this.config.logEvery);
+      this.updateGridDims();
+
+      let total = 0;
+      const counts = this.types.map((id, i) => {
+        const raw = Array.isArray(this.config.counts) ? this.config.counts[i] : this.config.counts[id];
+        const want = Math.min(Math.max(0, Math.floor(Number(raw) || 0)), MAX_ENTITIES_PER_TYPE);
+        const can = Math.max(0, Math.min(want, MAX_TOTAL_ENTITIES - total));
+        if (can < want) this.capped.push({ type: id, want, got: can });
+        total += can;
+        return can;
+      });
+      this.overlapped = this.populate(counts); // entities that had to be placed overlapping another
+      if (this.log.every) this.log.sample(0, this.getCounts());
+      return this;
+    }
+
+    /** Merges `patch` into the config; size and dimension changes rebuild the grid. */
+    configure(patch) {
+      Object.assign(this.config, patch);
+      if ('radius' in patch || 'typeRadius' in patch || 'width' in patch || 'height' in patch) this.updateGridDims();
+      else if ('arena' in patch || 'obstacles' in patch) this.indexSolids();
+      return this;
+    }
+
+    resize(width, height) { return this.configure({ width, height }); }
+
+    /**
+     * Applies a recorded change at the current tick. Events look like
+     * `{ tick, type: 'config', patch }`; replays feed them back in tick order.
+     */
+    applyEvent(ev) {
+      if (ev.type === 'config') this.configure(ev.patch);
+      else if (ev.type === 'edit') this.applyEdit(ev);
+      else throw new Error(`Unknown event type: ${ev.type}`);
+      return this;
+    }
+
+    /**
+     * Canvas edit: drops the `remove` ids, then sets position/velocity for each
+     * `move` ({ id, x, y, vx, vy }), then adds the `add` entity states.
+     */
+    applyEdit({ remove = [], move = [], add = [] }) {
+      if (remove.length) { const gone = new Set(remove); this.entities = this.entities.filter(e => !gone.has(e._id)); }
+      for (const m of move) {
+        const e = this.entities.find(x => x._id === m.id);
+        if (e) { e.x = m.x; e.y = m.y; e.vx = m.vx; e.vy = m.vy; }
+      }
+      for (const st of add) {
+        const e = Entity.fromState(st);
+        this.entities.push(e); this.nextId = Math.max(this.nextId, e._id + 1);
+      }
+      this.log.update(this.tick, this.getCounts());
+      return this;
+    }
+
+    /** Plain, JSON-safe copy of the full mutable state (entities, RNG, clock, config). */
+    snapshot() {
+      return {
+        seed: this.seed, tick: this.tick, time: this.time, nextId: this.nextId,
+        rng: this.rng.getState(),
+        config: JSON.parse(JSON.stringify(this.config)),
+        entities: this.entities.map(e => e.state()),
+        lastConversionAt: this.lastConversionAt, trend: this.trend.map(row => row.slice()),
+      };
+    }
+
+    /** Inverse of `snapshot()`: stepping afterwards continues the original run exactly. */
+    restore(snap) {
+      this.config = { ...DEFAULT_CONFIG, ...snap.config };
+      this.types = this.config.types.slice();
+      this.beatsMap = buildBeatsMap(this.config.beats);
+      validateRules(this.types, this.beatsMap);
+      this.seed = snap.seed; this.tick = snap.tick; this.time = snap.time; this.nextId = snap.nextId;
+      this.rng = mulberry32(0); this.rng.setState(snap.rng);
+      this.entities = snap.entities.map(Entity.fromState);
+      this.capped = []; this.overlapped = 0;
+      this.lastConversionAt = snap.lastConversionAt ?? snap.time; this.trend = (snap.trend || []).map(row => row.slice());
+      this.pattern = this.detectPattern();
+      if (this.tick === 0) { // a fresh start, e.g. a saved layout
+        this.log = new PopulationLog(this.types.length, this.config.logEvery);
+        if (this.log.every) this.log.sample(0, this.getCounts());
+      } else if (!this.log || this.log.typeCount !== this.types.length) this.log = new PopulationLog(this.types.length, this.config.logEvery);
+      else this.log.truncate(this.tick);
+      this.updateGridDims(); this.grid.clear();
+      return this;
+    }
+
+    /** `snapshot()` plus the population log, for resuming a run later with its history. */
+    save() { return { ...this.snapshot(), log: this.log.toJSON() }; }
+
+    /** Inverse of `save()`; without a usable log the history restarts at the saved tick. */
+    load(data) {
+      this.restore(data);
+      const log = data.log;
+      if (log && log.typeCount === this.types.length && Array.isArray(log.ticks) && Array.isArray(log.counts) && Array.isArray(log.conversions)) this.log = PopulationLog.from(log);
+      return this;
+    }
+
+    clear() { this.entities = []; this.grid.clear(); return this; }
+
+    /** Wrap mode, unless the arena has walls that wrapping would bypass. */
+    get wrap() { return this.config.wallMode === 'wrap' && !NO_WRAP_ARENAS.includes(this.config.arena); }
+
+    /** True when a disc at (x, y) would overlap an obstacle or arena wall. */
+    blocked(x, y, r) {
+      for (const o of this.solids) if (solidDepth(x, y, r, o) > 0) return true;
+      return false;
+    }
+
+    /** Resolves the arena's and the user's obstacles and lists their indices per grid cell. */
+    indexSolids() {
+      const { width: W, height: H, arena, obstacles } = this.config;
+      this.solids = [...arenaSolids(arena, W, H), ...(obstacles || []).filter(validObstacle)];
+      const { cell: CELL, gw: GW, gh: GH } = this;
+      this.solidCells = Array.from({ length: GW * GH }, () => []);
+      this.solids.forEach((o, k) => {
+        const b = solidBox(o);
+        for (let iy = clampIdx(Math.floor(b.y0 / CELL), GH - 1); iy <= clampIdx(Math.floor(b.y1 / CELL), GH - 1); iy++) {
+          for (let ix = clampIdx(Math.floor(b.x0 / CELL), GW - 1); ix <= clampIdx(Math.floor(b.x1 / CELL), GW - 1); ix++) {
+            // A rim only matters in cells reaching past its radius (cell ≥ 2·maxRadius)
+            if (o.kind === 'rim' && Math.hypot(Math.max(Math.abs(ix * CELL - o.x), Math.abs((ix + 1) * CELL - o.x)), Math.max(Math.abs(iy * CELL - o.y), Math.abs((iy + 1) * CELL - o.y))) <= o.r - CELL) continue;
+            this.solidCells[ix + iy * GW].push(k);
+          }
+        }
+      });
+    }
+
+    rand(min, max) { return this.rng() * (max - min) + min; }
+    /** Spawn radius for type index `t`: its `typeRadius` entry, else `config.radius`. */
+    radiusOf(t) { return Number(this.config.typeRadius[this.types[t]]) || this.config.radius; }
+    maxRadius() { return Math.max(this.config.radius, ...this.types.map((id, t) => this.radiusOf(t)), ...this.entities.map(e => e.r)); }
+    randVel() { const angle = this.rng() * Math.PI * 2; const mag = (this.rand(0.8, 2.0)) * 60; return { vx: Math.cos(angle) * mag, vy: Math.sin(angle) * mag } } // px/s
+
+    overlapsAny(x, y, r) {
+      for (let i = 0; i < this.entities.length; i++) {
+        const e = this.entities[i];
+        const dx = x - e.x, dy = y - e.y;
+        if (dx * dx + dy * dy < (r + e.r) * (r + e.r)) return true;
+      }
+      return false;
+    }
+
+    /**
+     * Adds `n` entities of one type at random spots in `region` (default: the
+     * whole arena), retrying up to 50 times to avoid overlaps. When every try
+     * overlaps, a spot clear of obstacles is preferred. Returns how many still
+     * overlap.
+     */
+    spawn(typeIndex, n, radius, region, index) {
+      n = Math.min(n, MAX_ENTITIES_PER_TYPE);
+      const { width: W, height: H } = this.config;
+      region = region || layoutRegions('mixed', 1, W, H, radius + 2)[0];
+      index = index || new SpawnIndex(W, H, 2 * Math.max(radius, ...this.entities.map(e => e.r)), this.entities, this.solids.length ? (x, y, r) => this.blocked(x, y, r) : null);
+      const rand = (a, b) => this.rand(a, b);
+      let overlapped = 0;
+      for (let i = 0; i < n; i++) {
+        const { vx, vy } = this.randVel();
+        let x, y, free = null; let tries = 0; const maxTries = 50;
+        for (;;) {
+          [x, y] = region.sample(rand);
+          if (!index.overlaps(x, y, radius)) break;
+          if (!free && index.blocked && !index.blocked(x, y, radius)) free = [x, y]; // clear of walls, only touching entities
+          if (++tries === maxTries) { overlapped++; if (free) [x, y] = free; break; }
+        }
+        const e = new Entity(this.nextId++, typeIndex, x, y, radius, vx, vy);
+        this.entities.push(e); index.add(e);
+      }
+      return overlapped;
+    }
+
+    /**
+     * Places `counts[i]` entities of each type per `config.layout` and
+     * `config.spawnMode`. Uniform mode spawns type by type; jittered and
+     * Poisson modes generate all points of a shared region first, then deal
+     * the types out in seeded random order. Returns how many overlap.
+     */
+    populate(counts) {
+      const { width: W, height: H, spawnMode, layout, mask } = this.config;
+      const r = Math.max(...this.types.map((id, t) => this.radiusOf(t)));
+      const regions = layoutRegions(layout, this.types.length, W, H, r + 2, mask);
+      const index = new SpawnIndex(W, H, 2 * this.maxRadius(), this.entities, this.solids.length ? (x, y, r) => this.blocked(x, y, r) : null);
+      const rand = (a, b) => this.rand(a, b);
+      let overlapped = 0;
+      const seen = new Set();
+      regions.forEach(region => {
+        if (seen.has(region)) return;
+        seen.add(region);
+        const members = regions.map((rg, t) => (rg === region ? t : -1)).filter(t => t >= 0);
+        if (spawnMode !== 'jittered' && spawnMode !== 'poisson') {
+          for (const t of members) overlapped += this.spawn(t, counts[t], this.radiusOf(t), region, index);
+          return;
+        }
+        const deck = [];
+        for (const t of members) for (let k = 0; k < counts[t]; k++) deck.push(t);
+        for (let i = deck.length - 1; i > 0; i--) { const j = Math.floor(this.rng() * (i + 1)); [deck[i], deck[j]] = [deck[j], deck[i]]; }
+        const pts = spawnMode === 'poisson' ? poissonPoints(region, deck.length, r, rand, W, H, index) : jitteredPoints(region, deck.length, r, rand);
+        deck.forEach((t, k) => {
+          const rt = this.radiusOf(t);
+          if (k >= pts.length) { overlapped += this.spawn(t, 1, rt, region, index); return; } // region full: fall back to retries
+          const [x, y] = pts[k];
+          if (this.solids.length && this.blocked(x, y, rt)) { overlapped += this.spawn(t, 1, rt, region, index); return; } // grid point inside a wall
+          if (index.overlaps(x, y, rt)) overlapped++;
+          const { vx, vy } = this.randVel();
+          const e = new Entity(this.nextId++, t, x, y, rt, vx, vy);
+          this.entities.push(e); index.add(e);
+        });
+      });
+      return overlapped;
+    }
+
+    getCounts() {
+      const counts = new Array(this.types.length).fill(0);
+      for (const e of this.entities) counts[e.t]++;
+      return counts;
+    }
+
+    /** Chance that a contact of type index `a` on `b` lands: 0 without a beats edge, else its `odds` entry (default 1). */
+    oddsOf(a, b) {
+      const aId = this.types[a], bId = this.types[b];
+      if (!this.beatsMap.get(aId)?.has(bId)) return 0;
+      const p = Number(this.config.odds[`${aId}>${bId}`] ?? 1);
+      return Number.isFinite(p) ? Math.max(0, Math.min(1, p)) : 1;
+    }
+
+    /**
+     * How the match stands: 'win' when one type is left, 'extinct' when no
+     * entities are left, 'draw' when several types remain but none can still
+     * defeat another (no edge between them, or only edges with odds 0). The
+     * configurable end conditions add 'timeout' (`maxTicks`), 'stalemate'
+     * (`quietFor` seconds without a conversion, or flat populations over the
+     * `cycleWindow`) and 'cycle' (populations oscillating over it). Null while
+     * the run goes on.
+     */
+    outcome() {
+      const alive = [];
+      this.getCounts().forEach((n, t) => { if (n) alive.push(t); });
+      if (!alive.length) return 'extinct';
+      if (alive.length === 1) return 'win';
+      let live = false;
+      for (const a of alive) for (const b of alive) if (this.oddsOf(a, b) > 0) live = true;
+      if (!live) return 'draw';
+      const { maxTicks, quietFor } = this.config;
+      if (maxTicks > 0 && this.tick >= maxTicks) return 'timeout';
+      if (quietFor > 0 && this.time - this.lastConversionAt >= quietFor - 1e-9) return 'stalemate';
+      return this.pattern ? this.pattern.kind : null;
+    }
+
+    /**
+     * Structured result of the run so far: `{ outcome, winner, tick, time,
+     * counts: { [typeId]: n } }`, plus `period` (seconds) for a cycle.
+     * `outcome` is null while undecided.
+     */
+    result() {
+      const outcome = this.outcome(), counts = this.getCounts();
+      const res = { outcome, winner: this.getWinner(), tick: this.tick, time: this.time, counts: Object.fromEntries(this.types.map((id, t) => [id, counts[t]])) };
+      if (outcome === 'cycle') res.period = this.pattern.period;
+      return res;
+    }
+
+    /** Adds a population sample to the cycle-detection window and re-checks it. */
+    sampleTrend() {
+      const n = Math.round(this.config.cycleWindow / FIXED_DT / TREND_EVERY);
+      this.trend.push([this.tick, ...this.getCounts()]);
+      if (this.trend.length > n) this.trend.splice(0, this.trend.length - n);
+      this.pattern = this.detectPattern();
+    }
+
+    /**
+     * Looks at the full window of type shares: every type flat → stalemate.
+     * Otherwise a cycle needs the same types alive throughout, the shares
+     * lagged by some period of at most half the window to correlate (Pearson,
+     * averaged over the moving types) at CYCLE_CORR or more after first
+     * dipping below zero, and the last period to swing at least half as far
+     * as the first (a dying oscillation is converging, not cycling).
+     * Returns { kind, period? } or null.
+     */
+    detectPattern() {
+      const n = Math.round(this.config.cycleWindow / FIXED_DT / TREND_EVERY);
+      if (!(n >= 8) || this.trend.length < n) return null;
+      const rows = this.trend.slice(-n);
+      const series = this.types.map((id, t) => rows.map(row => { let sum = 0; for (let k = 1; k < row.length; k++) sum += row[k]; return sum ? row[t + 1] / sum : 0; }));
+      const range = xs => Math.max(...xs) - Math.min(...xs);
+      const moving = series.filter(xs => range(xs) >= FLAT_RANGE);
+      if (!moving.length) return { kind: 'stalemate' };
+      if (series.some(xs => (xs[0] > 0) !== (xs[n - 1] > 0) || (xs[n - 1] > 0 && Math.min(...xs) === 0))) return null;
+      const corr = (xs, L) => {
+        const m = xs.length - L;
+        let ma = 0, mb = 0;
+        for (let i = 0; i < m; i++) { ma += xs[i]; mb += xs[i + L]; }
+        ma /= m; mb /= m;
+        let ab = 0, aa = 0, bb = 0;
+        for (let i = 0; i < m; i++) { const a = xs[i] - ma, b = xs[i + L] - mb; ab += a * b; aa += a * a; bb += b * b; }
+        return aa && bb ? ab / Math.sqrt(aa * bb) : 0;
+      };
+      let dipped = false, best = -1, bestL = 0;
+      for (let L = 1; L <= n >> 1; L++) {
+        const r = moving.reduce((acc, xs) => acc + corr(xs, L), 0) / moving.length;
+        if (r < 0) dipped = true;
+        else if (dipped && r > best) { best = r; bestL = L; }
+      }
+      if (best >= CYCLE_CORR && moving.every(xs => range(xs.slice(-bestL)) >= 0.5 * range(xs.slice(0, bestL)))) return { kind: 'cycle', period: bestL * TREND_EVERY * FIXED_DT };
+      return null;
+    }
+
+    /** True once the match is decided: a win, draw or extinction, or one of the configured end conditions. */
+    isFinished() { return this.outcome() !== null; }
+
+    /** Type id of the last type standing, or null while undecided or after a draw or extinction. */
+    getWinner() {
+      return this.outcome() === 'win' ? this.types[this.entities[0].t] : null;
+    }
+
+    step(dt = FIXED_DT) {
+      const { width: W, height: H, speed, drag, jitter, vmax } = this.config;
+      const wrap = this.wrap;
+      this.tick++; this.time += dt; // conversions during this step are stamped with the new tick
+      const typeSpeed = this.types.map(id => (this.config.typeSpeed[id] ?? 1) * speed);
+      const decay = drag > 0 ? Math.exp(-drag * dt * speed) : 1;
+      const kick = jitter > 0 ? jitter * Math.sqrt(dt * speed) : 0;
+      for (const e of this.entities) {
+        if (decay !== 1) { e.vx *= decay; e.vy *= decay; }
+        if (kick) { // Box–Muller: one Gaussian pair per entity, only drawn when jitter is on
+          const m = kick * Math.sqrt(-2 * Math.log(1 - this.rng())), a = 2 * Math.PI * this.rng();
+          e.vx += m * Math.cos(a); e.vy += m * Math.sin(a);
+        }
+        e.update(W, H, dt, typeSpeed[e.t], wrap, vmax);
+      }
+      this.handleCollisionsGrid();
+      if (this.config.steering) this.steer(dt * speed);
+      if (this.config.cycleWindow > 0 && this.tick % TREND_EVERY === 0) this.sampleTrend();
+      if (this.log.every && this.tick % this.log.every === 0) this.log.sample(this.tick, this.getCounts());
+    }
+
+    /**
+     * A winning contact of `winner` on `loser`: skipped while the loser is
+     * immune, rolled against the edge's odds (the RNG is only drawn for odds
+     * below 1, so default runs are unchanged), counted toward `hits`, and
+     * finally converts or removes the loser per `onDefeat`.
+     */
+    strike(winner, loser) {
+      const { hits, immunity, onDefeat } = this.config;
+      if (loser.immuneUntil > this.time) return;
+      const p = this.oddsOf(winner.t, loser.t);
+      if (p < 1 && !(this.rng() < p)) return;
+      if (hits > 1 && ++loser.damage < hits) return;
+      loser.damage = 0;
+      if (onDefeat === 'remove') { this.kill(winner, loser); return; }
+      this.convert(winner, loser);
+      if (immunity > 0) loser.immuneUntil = this.time + immunity;
+    }
+
+    /** Marks `loser` dead; it stops colliding at once and leaves `entities` at the end of the step. */
+    kill(winner, loser) {
+      loser.dead = true; this.deaths++; this.lastConversionAt = this.time;
+      winner.wins++;
+      if (this.log.every) this.log.conversions.push({ tick: this.tick, x: loser.x, y: loser.y, winner: winner._id, loser: loser._id, from: loser.t, to: -1 });
+    }
+
+    convert(winner, loser) {
+      const from = loser.t;
+      loser.t = winner.t; this.lastConversionAt = this.time;
+      winner.wins++; loser.flips++;
+      // With per-type sizes, a convert takes the winner's size (otherwise sizes are left alone, as before)
+      if (Object.keys(this.config.typeRadius).length) { const r = this.radiusOf(winner.t); if (loser.r !== r) loser.setRadius(r); }
+      if (this.log.every) this.log.conversions.push({ tick: this.tick, x: loser.x, y: loser.y, winner: winner._id, loser: loser._id, from, to: winner.t });
+    }
+
+    /* ------------------------ Collisions (grid) ------------------------- */
+    updateGridDims() {
+      this.cell = Math.max(24, this.maxRadius() * 2 + 6);
+      this.gw = Math.max(1, Math.ceil(this.config.width / this.cell));
+      this.gh = Math.max(1, Math.ceil(this.config.height / this.cell));
+      this.grid.resize(this.gw, this.gh);
+      this.indexSolids();
+    }
+
+    insertIntoGrid(e, index) {
+      const { grid, cell: CELL, gw: GW, gh: GH } = this; const wrap = this.wrap;
+      let minx = Math.floor((e.x - e.r) / CELL);
+      let maxx = Math.floor((e.x + e.r) / CELL);
+      let miny = Math.floor((e.y - e.r) / CELL);
+      let maxy = Math.floor((e.y + e.r) / CELL);
+      for (let iy = miny; iy <= maxy; iy++) {
+        for (let ix = minx; ix <= maxx; ix++) {
+          const gx = wrap ? mod(ix, GW) : clampIdx(ix, GW - 1);
+          const gy = wrap ? mod(iy, GH) : clampIdx(iy, GH - 1);
+          if (this.debug && wrap && (gx !== ix || gy !== iy)) this.debug.wrappedInserts.add(e);
+          grid.add(gx + gy * GW, index);
+        }
+      }
+    }
+
+    periodicDelta(ax, ay, bx, by) {
+      let dx = bx - ax, dy = by - ay;
+      if (this.wrap) {
+        const { width: W, height: H } = this.config;
+        if (dx > W / 2) dx -= W; else if (dx < -W / 2) dx += W;
+        if (dy > H / 2) dy -= H; else if (dy < -H / 2) dy += H;
+      }
+      return { dx, dy };
+    }
+
+    narrowPhase(a, b) {
+      const { dx, dy } = this.periodicDelta(a.x, a.y, b.x, b.y);
+      const minDist = a.r + b.r;
+      const dist2 = dx * dx + dy * dy; if (dist2 > minDist * minDist) return;
+      this.stats.contacts++;
+
+      const aId = this.types[a.t];
+      const bId = this.types[b.t];
+      const winId = winnerOf(this.beatsMap, aId, bId);
+      if (winId) { if (winId === aId) this.strike(a, b); else this.strike(b, a); }
+
+      const dist = Math.sqrt(dist2) || 0.0001;
+      const nx = dx / dist, ny = dy / dist;
+      const overlap = Math.max(0, (minDist - dist) + EPS);
+      a.x -= nx * overlap / 2; a.y -= ny * overlap / 2;
+      b.x += nx * overlap / 2; b.y += ny * overlap / 2;
+      if (this.wrap) {
+        const { width: W, height: H } = this.config;
+        a.x = mod(a.x, W); a.y = mod(a.y, H);
+        b.x = mod(b.x, W); b.y = mod(b.y, H);
+      }
+
+      const va = a.vx * nx + a.vy * ny; const vb = b.vx * nx + b.vy * ny;
+      const ma = massOf(a, this.config.massRule), mb = massOf(b, this.config.massRule);
+      const vaAfter = (va * (ma - mb) + 2 * mb * vb) / (ma + mb);
+      const vbAfter = (vb * (mb - ma) + 2 * ma * va) / (ma + mb);
+      const rest = this.config.restitution;
+      const dvA = (vaAfter - va) * rest, dvB = (vbAfter - vb) * rest;
+      a.vx += dvA * nx; a.vy += dvA * ny;
+      b.vx += dvB * nx; b.vy += dvB * ny;
+      clampVel(a, this.config.vmax); clampVel(b, this.config.vmax);
+    }
+
+    /** Sense radius, steering force and turn rate for type index `t`. */
+    steerOf(t) { return { ...STEER_DEFAULTS, ...this.config.typeSteer[this.types[t]] }; }
+
+    /**
+     * Steering, on the grid built by this step's collisions: each entity sums
+     * unit vectors toward the types it beats and away from the types that
+     * beat it (weighted 1 → 0 across its sense radius, measured with
+     * `periodicDelta`), then turns toward that heading at its current speed.
+     * The change is capped by its force (px/s²) and turn rate (rad/s), so
+     * steering never adds speed beyond STEER_MIN_SPEED.
+     */
+    steer(dt) {
+      const { grid, cell: CELL, gw: GW, gh: GH, gridEntities: ents } = this; const wrap = this.wrap;
+      const { start, count, items } = grid;
+      const T = this.types.length;
+      const rel = new Int8Array(T * T); // +1: a beats b, -1: b beats a
+      for (let a = 0; a < T; a++) for (let b = 0; b < T; b++) {
+        const w = winnerOf(this.beatsMap, this.types[a], this.types[b]);
+        rel[a * T + b] = w == null ? 0 : w === this.types[a] ? 1 : -1;
+      }
+      const params = this.types.map((id, t) => this.steerOf(t));
+      const home = (x, y) => {
+        const ix = Math.floor(x / CELL), iy = Math.floor(y / CELL);
+        return (wrap ? mod(ix, GW) : clampIdx(ix, GW - 1)) + (wrap ? mod(iy, GH) : clampIdx(iy, GH - 1)) * GW;
+      };
+      for (const e of ents) {
+        if (e.dead) continue;
+        const { sense, force, turn } = params[e.t];
+        if (!(sense > 0) || !(force > 0) || !(turn > 0)) continue;
+        const k = Math.ceil(sense / CELL);
+        const kx = wrap ? Math.min(k, (GW - 1) >> 1) : k, ky = wrap ? Math.min(k, (GH - 1) >> 1) : k; // never visit a wrapped cell twice
+        const cx = Math.floor(e.x / CELL), cy = Math.floor(e.y / CELL);
+        let sx = 0, sy = 0;
+        for (let iy = cy - ky; iy <= cy + ky; iy++) {
+          if (!wrap && (iy < 0 || iy >= GH)) continue;
+          for (let ix = cx - kx; ix <= cx + kx; ix++) {
+            if (!wrap && (ix < 0 || ix >= GW)) continue;
+            const c = (wrap ? mod(ix, GW) : ix) + (wrap ? mod(iy, GH) : iy) * GW;
+            for (let i = start[c], end = i + count[c]; i < end; i++) {
+              const b = ents[items[i]];
+              const sign = rel[e.t * T + b.t];
+              if (!sign || b.dead || home(b.x, b.y) !== c) continue; // count each neighbour once, in its own cell
+              const { dx, dy } = this.periodicDelta(e.x, e.y, b.x, b.y);
+              const d = Math.sqrt(dx * dx + dy * dy);
+              if (d >= sense || d === 0) continue;
+              const w = sign * (1 - d / sense) / d;
+              sx += dx * w; sy += dy * w;
+            }
+          }
+        }
+        const sl = Math.hypot(sx, sy);
+        if (!sl) continue;
+        const speed = Math.max(Math.hypot(e.vx, e.vy), STEER_MIN_SPEED);
+        // Desired velocity at the current speed; the change is capped by force·dt
+        let ax = sx / sl * speed - e.vx, ay = sy / sl * speed - e.vy;
+        const al = Math.hypot(ax, ay), amax = force * dt;
+        if (al > amax) { ax *= amax / al; ay *= amax / al; }
+        let vx = e.vx + ax, vy = e.vy + ay;
+        // ...and the heading change by turn·dt
+        const h0 = Math.atan2(e.vy, e.vx), dh = mod(Math.atan2(vy, vx) - h0 + Math.PI, 2 * Math.PI) - Math.PI, hmax = turn * dt;
+        if ((e.vx || e.vy) && Math.abs(dh) > hmax) {
+          const h = h0 + Math.sign(dh) * hmax, v = Math.hypot(vx, vy);
+          vx = Math.cos(h) * v; vy = Math.sin(h) * v;
+        }
+        e.vx = vx; e.vy = vy;
+      }
+    }
+
+    /** Entity–obstacle contacts through the same grid: each entity meets the solids listed for the cells it occupies. */
+    collideSolids() {
+      const { grid, solids, solidCells, stats, entities: ents } = this; const wrap = this.wrap;
+      const { width: W, height: H } = this.config;
+      const { cells, count, start, items } = grid;
+      // An entity straddling several cells meets an obstacle they share only once per step
+      const seen = new Set(), n = solids.length;
+      for (let c = 0; c < grid.size; c++) {
+        const cell = cells[c], list = solidCells[cell];
+        if (!list.length) continue;
+        for (let i = start[cell], end = i + count[cell]; i < end; i++) {
+          const e = ents[items[i]];
+          if (e.dead) continue;
+          for (const k of list) {
+            const pair = items[i] * n + k;
+            if (seen.has(pair)) continue;
+            seen.add(pair);
+            if (!collideSolid(e, solids[k])) continue;
+            stats.obstacleHits++;
+            if (wrap) { e.x = mod(e.x, W); e.y = mod(e.y, H); }
+          }
+        }
+      }
+    }
+
+    /** Calls `fn(ix, iy, count)` for every occupied grid cell of the last step. */
+    forEachCell(fn) { this.grid.forEachCell(fn); }
+
+    /**
+     * Broadphase: buckets entities into grid cells, then narrow-phases each
+     * bucket against its 3×3 neighbourhood. With `this.debug` set, records which
+     * cells were reached through the toroidal wrap and which entities were
+     * inserted into wrapped cells. Entities removed by a defeat are skipped
+     * for the rest of the step and dropped at its end.
+     */
+    handleCollisionsGrid() {
+      const { grid, gw: GW, gh: GH, stats, debug, entities: ents } = this; const wrap = this.wrap;
+      grid.clear(); this.deaths = 0; this.gridEntities = ents; // what grid items index, even after removals
+      stats.narrowPhase = 0; stats.contacts = 0; stats.wrappedLookups = 0; stats.obstacleHits = 0;
+      if (debug) { debug.wrappedCells = new Set(); debug.wrappedInserts = new Set(); }
+      for (let i = 0; i < ents.length; i++) this.insertIntoGrid(ents[i], i);
+      grid.sort();
+      const { cells, count, start, items } = grid;
+      for (let c = 0; c < grid.size; c++) {
+        const cell = cells[c];
+        const cx = cell % GW, cy = (cell - cx) / GW;
+        const a0 = start[cell], a1 = a0 + count[cell];
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            let nx = wrap ? mod(cx + dx, GW) : (cx + dx);
+            let ny = wrap ? mod(cy + dy, GH) : (cy + dy);
+            if (nx < 0 || ny < 0 || nx >= GW || ny >= GH) continue;
+            const wrapped = wrap && (nx !== cx + dx || ny !== cy + dy);
+            if (wrapped) { stats.wrappedLookups++; if (debug) debug.wrappedCells.add(nx + ny * GW); }
+            const nc = nx + ny * GW;
+            const b0 = start[nc], b1 = b0 + count[nc];
+            for (let i = a0; i < a1; i++) {
+              const a = ents[items[i]];
+              if (a.dead) continue;
+              for (let j = b0; j < b1 && !a.dead; j++) {
+                const b = ents[items[j]];
+                if (a === b || b.dead) continue;
+                if (a._id > b._id) continue;
+                stats.narrowPhase++;
+                this.narrowPhase(a, b);
+              }
+            }
+          }
+        }
+      }
+      if (this.solids.length) this.collideSolids();
+      if (this.deaths) this.entities = ents.filter(e => !e.dead);
+    }
+  }
+
+  /* ============================ Headless runs ============================ */
+  const DEFAULT_MAX_TICKS = 60 * 60 * 10; // 10 simulated minutes
+
+  /** True when a headless run should stop: empty, decided, or out of ticks. */
+  function isMatchOver(world, maxTicks = DEFAULT_MAX_TICKS) {
+    return world.isFinished() || world.tick >= maxTicks;
+  }
+
+  /** `outcome` is one of OUTCOMES ('timeout' also when the run was stopped undecided); `period` is set for cycles. */
+  function matchSummary(world) {
+    const outcome = world.outcome() || 'timeout';
+    const out = { seed: world.seed, winner: world.getWinner(), outcome, ticks: world.tick, time: world.time, counts: world.getCounts() };
+    if (outcome === 'cycle') out.period = world.pattern.period;
+    return out;
+  }
+
+  /** Runs one match to completion (or `maxTicks`) without rendering and summarises it. */
+  function runMatch(config, maxTicks = DEFAULT_MAX_TICKS) {
+    const world = new World(config);
+    while (!isMatchOver(world, maxTicks)) world.step(FIXED_DT);
+    return matchSummary(world);
+  }
+
+  /* ============================ Parameter sweeps ========================== */
+  // 'count:<typeId>' sweeps that type's starting count; the rest are config keys.
+  const SWEEP_PARAMS = ['count', 'radius', 'speed', 'wallMode'];
+
+  /** `steps` evenly spaced values from `from` to `to` (whole numbers for counts); wall mode always sweeps both modes. */
+  function sweepValues(param, from, to, steps) {
+    if (param === 'wallMode') return ['bounce', 'wrap'];
+    const n = Math.max(1, Math.floor(steps)), vals = [];
+    for (let i = 0; i < n; i++) {
+      const v = n === 1 ? from : from + (to - from) * i / (n - 1);
+      vals.push(param.startsWith('count:') ? Math.round(v) : Math.round(v * 1000) / 1000);
+    }
+    return [...new Set(vals)];
+  }
+
+  /** Copy of `config` with one sweep parameter set to `value`. */
+  function sweepConfig(config, param, value) {
+    const [key, id] = param.split(':');
+    if (!SWEEP_PARAMS.includes(key) || (key === 'count') !== (id != null)) throw new Error(`Unknown sweep parameter '${param}'`);
+    if (key !== 'count') return { ...config, [key]: value };
+    const types = config.types || DEFAULT_CONFIG.types;
+    if (!types.includes(id)) throw new Error(`Unknown type '${id}'`);
+    const counts = Array.isArray(config.counts) ? config.counts.slice() : { ...config.counts };
+    counts[Array.isArray(counts) ? types.indexOf(id) : id] = value;
+    return { ...config, counts };
+  }
+
+  /* ================================ Replay ================================ */
+  const KEYFRAME_EVERY = 300; // ticks between cached snapshots (5 simulated seconds)
+
+  /**
+   * Re-simulates a recording `{ config, start?, events, endTick }` and seeks within it
+   * (`start` is a tick-0 snapshot when the run began from a saved layout).
+   * Keyframes are cached as playback passes them, so seeking backwards only
+   * re-steps from the nearest earlier keyframe.
+   */
+  class Replay {
+    constructor(recording) {
+      this.recording = recording;
+      this.events = recording.events.slice().sort((a, b) => a.tick - b.tick);
+      this.world = new World(recording.config);
+      if (recording.start) this.world.restore(recording.start);
+      this.cursor = 0; // index of the next event to apply
+      this.keyframes = new Map([[0, this.world.snapshot()]]);
+    }
+
+    get endTick() { return this.recording.endTick; }
+    get tick() { return this.world.tick; }
+
+    /** Applies the events due at the current tick, then advances one fixed step. */
+    step() {
+      const w = this.world;
+      if (w.tick >= this.endTick) return false;
+      while (this.cursor < this.events.length && this.events[this.cursor].tick <= w.tick) w.applyEvent(this.events[this.cursor++]);
+      w.step(FIXED_DT);
+      if (w.tick % KEYFRAME_EVERY === 0 && !this.keyframes.has(w.tick)) this.keyframes.set(w.tick, w.snapshot());
+      return true;
+    }
+
+    seek(tick) {
+      tick = Math.max(0, Math.min(Math.round(tick), this.endTick));
+      const w = this.world;
+      let best = -1;
+      for (const k of this.keyframes.keys()) if (k <= tick && k > best) best = k;
+      if (tick < w.tick || best > w.tick) {
+        w.restore(this.keyframes.get(best));
+        this.cursor = this.events.findIndex(ev => ev.tick >= best);
+        if (this.cursor < 0) this.cursor = this.events.length;
+      }
+      while (w.tick < tick) this.step();
+      return w;
+    }
+  }
+
+  return {
+    MAX_ENTITIES_PER_TYPE, MAX_SEED_LEN, MAX_TOTAL_ENTITIES, FIXED_DT, REST, VMAX, EPS, MASS_RULES,
+    DEFAULT_TYPE_IDS, DEFAULT_BEATS, DEFAULT_CONFIG, SPAWN_MODES, LAYOUTS, DEFEAT_MODES, MAX_HITS, STEER_DEFAULTS, OUTCOMES,
+    ARENAS, NO_WRAP_ARENAS, OBSTACLE_KINDS, validObstacle, arenaSolids, solidDepth,
+    buildBeatsMap, ruleErrors, validateRules, winnerOf,
+    xfnv1a, mulberry32, mod,
+    Entity, World, SpatialGrid, SpawnIndex, layoutRegions, parseMask, PopulationLog, Replay, KEYFRAME_EVERY,
+    DEFAULT_MAX_TICKS, isMatchOver, matchSummary, runMatch,
+    SWEEP_PARAMS, sweepValues, sweepConfig,
+  };
+});
@@ -0,0 +1,38 @@
+/* eslint-env worker, es2021 */
+/* global importScripts, RPSRender */
+/* OffscreenCanvas renderer. Messages from sim.js:
+   { type: 'init', canvas }                 transferred OffscreenCanvas
+   { type: 'resize', width, height, dpr }   CSS size of the layer
+   { type: 'types', types, colors, opts }   [{ shape, letter }], fill colours and drawPacked options
+   { type: 'frame', buf, n, view }          packed entities and the optional [scale, x, y] world → CSS px
+                                            transform; `buf` is posted back when drawn */
+importScripts('./render.js');
+
+let canvas = null, ctx = null;
+let W = 0, H = 0, dpr = 1;
+let types = [], colors = [], opts = {};
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'init':
+      canvas = data.canvas; ctx = canvas.getContext('2d');
+      break;
+    case 'resize':
+      W = data.width; H = data.height; dpr = data.dpr;
+      canvas.width = Math.floor(W * dpr); canvas.height = Math.floor(H * dpr);
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      break;
+    case 'types':
+      types = data.types; colors = data.colors; opts = data.opts || {};
+      break;
+    case 'frame': {
+      const [scale, x, y] = data.view || [1, 0, 0];
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, W, H);
+      ctx.setTransform(dpr * scale, 0, 0, dpr * scale, dpr * x, dpr * y);
+      RPSRender.drawPacked(ctx, data.buf, data.n, types, colors, dpr * scale, opts);
+      self.postMessage({ type: 'done', buf: data.buf }, [data.buf.buffer]);
+      break;
+    }
+  }
+};
@@ -0,0 +1,177 @@
+/* eslint-env browser, worker, node, es2021 */
+/* Entity drawing: shape paths, cached label sprites and the batched,
+   type-sorted renderer. Loaded by sim.js (as `RPSRender`) and by
+   render-worker.js through importScripts(). */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.RPSRender = api;
+})(typeof self !== 'undefined' ? self : globalThis, function () {
+  'use strict';
+
+  function addRegularPolygon(ctx, x, y, r, sides, rotationRad = -Math.PI / 2) {
+    for (let i = 0; i < sides; i++) {
+      const a = rotationRad + (i * 2 * Math.PI / sides);
+      const px = x + Math.cos(a) * r;
+      const py = y + Math.sin(a) * r;
+      if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+    }
+    ctx.closePath();
+  }
+
+  /* ================================ Shapes ================================ */
+  // Each shape appends one closed sub-path; the caller owns beginPath()/fill(),
+  // so a whole type can be filled in a single call.
+  const Shapes = {
+    circle(ctx, x, y, r) { ctx.moveTo(x + r, y); ctx.arc(x, y, r, 0, Math.PI * 2); },
+    square(ctx, x, y, r) { const s = r * Math.SQRT2; ctx.rect(x - s / 2, y - s / 2, s, s); },
+    triangle(ctx, x, y, r) {
+      ctx.moveTo(x, y - r);
+      ctx.lineTo(x - r, y + r);
+      ctx.lineTo(x + r, y + r);
+      ctx.closePath();
+    },
+    diamond(ctx, x, y, r) {
+      // Rotated square
+      ctx.moveTo(x, y - r);
+      ctx.lineTo(x + r, y);
+      ctx.lineTo(x, y + r);
+      ctx.lineTo(x - r, y);
+      ctx.closePath();
+    },
+    pentagon(ctx, x, y, r) { addRegularPolygon(ctx, x, y, r, 5 /*sides*/); },
+    hexagon(ctx, x, y, r) { addRegularPolygon(ctx, x, y, r, 6 /*sides*/); },
+    star(ctx, x, y, r) {
+      for (let i = 0; i < 10; i++) {
+        const a = -Math.PI / 2 + i * Math.PI / 5;
+        const rr = i % 2 ? r * 0.5 : r;
+        if (i === 0) ctx.moveTo(x + Math.cos(a) * rr, y + Math.sin(a) * rr); else ctx.lineTo(x + Math.cos(a) * rr, y + Math.sin(a) * rr);
+      }
+      ctx.closePath();
+    },
+  };
+  const SHAPE_NAMES = Object.keys(Shapes);
+
+  // Label centre offset as a fraction of r (the triangle's centroid sits below its centre).
+  const LABEL_DY = { triangle: 1 / 3 };
+  function labelY(shape, y, r) { return y + (LABEL_DY[shape] || 0) * r; }
+
+  /* ============================ Label sprites ============================ */
+  const LABEL_FONT = 'system-ui, -apple-system, Segoe UI, Roboto, Arial';
+  const MAX_SPRITES = 512;
+  const sprites = new Map();
+  let scratch = null;
+
+  function makeCanvas(w, h) {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(w, h);
+    const c = document.createElement('canvas'); c.width = w; c.height = h; return c;
+  }
+
+  /** Text rasterised once per (text, font size, DPR); null below the legibility threshold unless `always`. */
+  function labelSprite(text, radiusLike, dpr = 1, always = false) {
+    if (radiusLike < 7 && !always) return null;
+    const fontSize = Math.max(10, Math.round(radiusLike * 1.1));
+    const key = `${text}|${fontSize}|${dpr}`;
+    let s = sprites.get(key);
+    if (s) return s;
+
+    const font = `700 ${fontSize}px ${LABEL_FONT}`;
+    const lineWidth = Math.max(1, Math.round(fontSize * 0.15));
+    if (!scratch) scratch = makeCanvas(1, 1).getContext('2d');
+    scratch.font = font;
+    const w = Math.ceil(scratch.measureText(text).width + lineWidth * 2 + 2);
+    const h = Math.ceil(fontSize * 1.4 + lineWidth * 2);
+    const c = makeCanvas(Math.ceil(w * dpr), Math.ceil(h * dpr));
+    const g = c.getContext('2d');
+    g.scale(dpr, dpr);
+    g.textAlign = 'center'; g.textBaseline = 'middle'; g.font = font;
+    g.lineWidth = lineWidth; g.strokeStyle = 'rgba(0,0,0,0.45)'; g.fillStyle = '#fff';
+    g.strokeText(text, w / 2, h / 2);
+    g.fillText(text, w / 2, h / 2);
+
+    if (sprites.size >= MAX_SPRITES) sprites.clear();
+    s = { canvas: c, w, h };
+    sprites.set(key, s);
+    return s;
+  }
+
+  /* ============================ Fill patterns ============================ */
+  // Dark marks on an 8 px tile, laid over a type's colour so types differ by more than hue.
+  const PATTERN_TILE = 8;
+  const Patterns = {
+    diagonal(g) { g.moveTo(0, 8); g.lineTo(8, 0); g.moveTo(-2, 2); g.lineTo(2, -2); g.moveTo(6, 10); g.lineTo(10, 6); g.stroke(); },
+    dots(g) { g.arc(4, 4, 1.4, 0, Math.PI * 2); g.fill(); },
+    horizontal(g) { g.moveTo(0, 4); g.lineTo(8, 4); g.stroke(); },
+    vertical(g) { g.moveTo(4, 0); g.lineTo(4, 8); g.stroke(); },
+    cross(g) { g.moveTo(0, 0); g.lineTo(8, 8); g.moveTo(8, 0); g.lineTo(0, 8); g.stroke(); },
+    grid(g) { g.moveTo(0, 4); g.lineTo(8, 4); g.moveTo(4, 0); g.lineTo(4, 8); g.stroke(); },
+    backslash(g) { g.moveTo(0, 0); g.lineTo(8, 8); g.moveTo(-2, 6); g.lineTo(2, 10); g.moveTo(6, -2); g.lineTo(10, 2); g.stroke(); },
+  };
+  const PATTERN_NAMES = Object.keys(Patterns);
+  const patternCache = new WeakMap(); // context -> Map(`${name}|${dpr}` -> CanvasPattern)
+
+  function fillPattern(ctx, name, dpr) {
+    let byKey = patternCache.get(ctx);
+    if (!byKey) patternCache.set(ctx, byKey = new Map());
+    const key = `${name}|${dpr}`;
+    if (byKey.has(key)) return byKey.get(key);
+    const size = Math.ceil(PATTERN_TILE * dpr);
+    const tile = makeCanvas(size, size), g = tile.getContext('2d');
+    g.scale(size / PATTERN_TILE, size / PATTERN_TILE);
+    g.strokeStyle = g.fillStyle = 'rgba(0,0,0,0.45)'; g.lineWidth = 1.5;
+    g.beginPath(); Patterns[name](g);
+    const pat = ctx.createPattern(tile, 'repeat');
+    // The context is already scaled by dpr; shrink the tile back so it isn't scaled twice.
+    if (pat && pat.setTransform && typeof DOMMatrix !== 'undefined') pat.setTransform(new DOMMatrix([1 / dpr, 0, 0, 1 / dpr, 0, 0]));
+    byKey.set(key, pat);
+    return pat;
+  }
+
+  /* =========================== Batched drawing =========================== */
+  const STRIDE = 4; // x, y, r, type index
+
+  /** Packs entities into a reusable Float32Array; returns the (possibly grown) buffer. */
+  function packEntities(entities, buf) {
+    const need = entities.length * STRIDE;
+    if (!buf || buf.length < need) buf = new Float32Array(Math.max(need, 1024 * STRIDE));
+    for (let i = 0, o = 0; i < entities.length; i++, o += STRIDE) {
+      const e = entities[i];
+      buf[o] = e.x; buf[o + 1] = e.y; buf[o + 2] = e.r; buf[o + 3] = e.t;
+    }
+    return buf;
+  }
+
+  /**
+   * Draws `n` packed entities: one path and one fill per type, then all label
+   * sprites. `types` is [{ shape, letter }] and `colors` is aligned with it.
+   * `opts`: `patterns` overlays a per-type fill pattern, `labels: 'always'`
+   * labels entities of every size, and `outline` strokes each shape in that colour.
+   */
+  function drawPacked(ctx, buf, n, types, colors, dpr = 1, opts = {}) {
+    for (let t = 0; t < types.length; t++) {
+      const shape = Shapes[types[t].shape] || Shapes.circle;
+      let any = false;
+      ctx.beginPath();
+      for (let i = 0, o = 0; i < n; i++, o += STRIDE) {
+        if (buf[o + 3] !== t) continue;
+        shape(ctx, buf[o], buf[o + 1], buf[o + 2]); any = true;
+      }
+      if (!any) continue;
+      ctx.fillStyle = colors[t]; ctx.fill();
+      if (opts.patterns) {
+        const pat = fillPattern(ctx, PATTERN_NAMES[t % PATTERN_NAMES.length], dpr);
+        if (pat) { ctx.fillStyle = pat; ctx.fill(); }
+      }
+      if (opts.outline) { ctx.strokeStyle = opts.outline; ctx.lineWidth = 1.5; ctx.stroke(); }
+    }
+    const always = opts.labels === 'always';
+    for (let i = 0, o = 0; i < n; i++, o += STRIDE) {
+      const type = types[buf[o + 3]];
+      const s = labelSprite(type.letter, buf[o + 2], dpr, always);
+      if (!s) continue;
+      ctx.drawImage(s.canvas, buf[o] - s.w / 2, labelY(type.shape, buf[o + 1], buf[o + 2]) - s.h / 2, s.w, s.h);
+    }
+  }
+
+  return { Shapes, SHAPE_NAMES, PATTERN_NAMES, labelY, labelSprite, STRIDE, packEntities, drawPacked };
+});
@@ -1,146 +1,78 @@
 /* eslint-env browser, es2021 */
-/* global document, window, getComputedStyle, requestAnimationFrame, cancelAnimationFrame, performance, localStorage, crypto, navigator, setTimeout */
+/* global document, window, location, history, URL, URLSearchParams, Blob, getComputedStyle, HTMLCanvasElement, OffscreenCanvas, requestAnimationFrame, cancelAnimationFrame, performance, localStorage, createImageBitmap, crypto, navigator, setTimeout, RPSCore, RPSRender, RPSSweep, RPSCompare, RPSTournament, Worker */
 
-const MAX_ENTITIES_PER_TYPE = 500;
-const MAX_SEED_LEN = 128;
-const MAX_TOTAL_ENTITIES = 1200;
+const { MAX_ENTITIES_PER_TYPE, MAX_SEED_LEN, FIXED_DT, World, DEFAULT_CONFIG, SPAWN_MODES, LAYOUTS, MASS_RULES, DEFEAT_MODES, MAX_HITS, ARENAS, NO_WRAP_ARENAS, validObstacle, STEER_DEFAULTS, OUTCOMES, parseMask } = RPSCore;
+const { SHAPE_NAMES, packEntities, drawPacked } = RPSRender;
 
-function drawCenteredLabel(ctx, x, y, radiusLike, text) {
-  if (radiusLike < 7) return;
+/* =========================== Types (Registry) ============================ */
+const { DEFAULT_BEATS } = RPSCore;
+const DEFAULT_RULESET = {
+  name: 'RPSLS',
+  types: [
+    { id: 'circle', label: 'Circles (Rock)', shape: 'circle', letter: 'R', cssVar: '--circle', beats: DEFAULT_BEATS.circle },
+    { id: 'square', label: 'Squares (Paper)', shape: 'square', letter: 'P', cssVar: '--square', beats: DEFAULT_BEATS.square },
+    { id: 'triangle', label: 'Triangles (Scissors)', shape: 'triangle', letter: 'S', cssVar: '--triangle', beats: DEFAULT_BEATS.triangle },
+    { id: 'lizard', label: 'Lizards', shape: 'diamond', letter: 'L', cssVar: '--lizard', beats: DEFAULT_BEATS.lizard },
+    { id: 'spock', label: 'Spocks', shape: 'pentagon', letter: 'Sp', cssVar: '--spock', beats: DEFAULT_BEATS.spock },
+  ],
+};
+const RULE_PRESETS = {
+  RPSLS: DEFAULT_RULESET,
+  RPS: {
+    name: 'RPS',
+    types: DEFAULT_RULESET.types.slice(0, 3).map(t => ({ ...t, beats: t.beats.filter(b => b !== 'lizard' && b !== 'spock') })),
+  },
+};
 
-  const fontSize = Math.max(10, Math.round(radiusLike * 1.1));
-  ctx.save();
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'middle';
-  ctx.font = `700 ${fontSize}px system-ui, -apple-system, Segoe UI, Roboto, Arial`;
-  ctx.lineWidth = Math.max(1, Math.round(fontSize * 0.15));
-  ctx.strokeStyle = 'rgba(0,0,0,0.45)';
-  ctx.fillStyle = '#fff';
-  ctx.strokeText(text, x, y);
-  ctx.fillText(text, x, y);
-  ctx.restore();
-}
+// Replaced wholesale by setActiveRuleset() when a ruleset is applied.
+let activeRuleset = DEFAULT_RULESET;
+let TypeRegistry = DEFAULT_RULESET.types.map(t => ({ ...t }));
+let TypeIds = TypeRegistry.map(t => t.id);
 
-function drawRegularPolygon(ctx, x, y, r, sides, rotationRad = -Math.PI / 2) {
-  ctx.beginPath();
-  for (let i = 0; i < sides; i++) {
-    const a = rotationRad + (i * 2 * Math.PI / sides);
-    const px = x + Math.cos(a) * r;
-    const py = y + Math.sin(a) * r;
-    if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
-  }
-  ctx.closePath();
-  ctx.fill();
+function setActiveRuleset(rs) {
+  activeRuleset = rs;
+  TypeRegistry = rs.types.map(t => ({ ...t }));
+  TypeIds = TypeRegistry.map(t => t.id);
+  paletteCache = null;
 }
 
-/* =========================== Types (Registry) ============================ */
-const TypeRegistry = [
-  {
-    id: 'circle', label: 'Circles (Rock)', cssVar: '--circle',
-    draw(ctx, e, palette) {
-      ctx.fillStyle = palette.circle;
-      ctx.beginPath(); ctx.arc(e.x, e.y, e.r, 0, Math.PI * 2); ctx.fill();
-      drawCenteredLabel(ctx, e.x, e.y, e.r, 'R');
-    }
-  },
-  {
-    id: 'square', label: 'Squares (Paper)', cssVar: '--square',
-    draw(ctx, e, palette) {
-      ctx.fillStyle = palette.square;
-      const s = e.side;
-      ctx.beginPath(); ctx.rect(e.x - s / 2, e.y - s / 2, s, s); ctx.fill();
-      drawCenteredLabel(ctx, e.x, e.y, e.r, 'P');
-    }
-  },
-  {
-    id: 'triangle', label: 'Triangles (Scissors)', cssVar: '--triangle',
-    draw(ctx, e, palette) {
-      ctx.fillStyle = palette.triangle;
-      const base = e.base;
-      ctx.beginPath();
-      ctx.moveTo(e.x, e.y - e.r);
-      ctx.lineTo(e.x - base / 2, e.y + e.r);
-      ctx.lineTo(e.x + base / 2, e.y + e.r);
-      ctx.closePath(); ctx.fill();
-      const cx = e.x, cy = e.y + e.r / 3;
-      drawCenteredLabel(ctx, cx, cy, e.r, 'S');
-    }
-  },
-  {
-    id: 'lizard', label: 'Lizards', cssVar: '--lizard',
-    draw(ctx, e, palette) {
-      // Diamond (rotated square)
-      ctx.fillStyle = palette.lizard;
-      ctx.beginPath();
-      ctx.moveTo(e.x, e.y - e.r);
-      ctx.lineTo(e.x + e.r, e.y);
-      ctx.lineTo(e.x, e.y + e.r);
-      ctx.lineTo(e.x - e.r, e.y);
-      ctx.closePath(); ctx.fill();
-      drawCenteredLabel(ctx, e.x, e.y, e.r, 'L');
-    }
-  },
-  {
-    id: 'spock', label: 'Spocks', cssVar: '--spock',
-    draw(ctx, e, palette) {
-      // Regular pentagon
-      ctx.fillStyle = palette.spock;
-      drawRegularPolygon(ctx, e.x, e.y, e.r, 5 /*sides*/);
-      drawCenteredLabel(ctx, e.x, e.y, e.r, 'Sp');
-    }
-  }
-];
-const TypeIds = TypeRegistry.map(t => t.id);
+function rulesetBeats(rs) { return Object.fromEntries(rs.types.map(t => [t.id, t.beats])); }
 
 
 const FALLBACK_COLORS = { lizard: '#c7a0ff', spock: '#ffd1e0' };
+// Selectable palettes, assigned to types by position; 'default' uses the theme's CSS variables
+// and ruleset colours. A `<name>-<theme>` entry overrides `<name>` for that theme.
+const PALETTES = {
+  cb: ['#0072b2', '#e69f00', '#009e73', '#cc79a7', '#f0e442', '#56b4e9', '#d55e00', '#999999'], // Okabe–Ito
+  contrast: ['#3d9bff', '#ffffff', '#ff4040', '#ffe14d', '#c86bff', '#3dff8a', '#ff9a3d', '#a0a0a0'],
+  'contrast-light': ['#0047b3', '#000000', '#c40000', '#8a6d00', '#7a00b3', '#007a33', '#b35900', '#555555'],
+};
 
-function buildPalette() {
+function buildPalette(types = TypeRegistry) {
   const s = getComputedStyle(document.documentElement);
+  const { palette, theme } = document.documentElement.dataset;
+  const fixed = PALETTES[`${palette}-${theme}`] || PALETTES[palette];
   const out = {};
-  for (const t of TypeRegistry) {
-    const v = s.getPropertyValue(t.cssVar)?.trim();
-    out[t.id] = v && v.length ? v : (FALLBACK_COLORS[t.id] ?? '#cccccc');
-  }
+  types.forEach((t, i) => {
+    if (fixed) { out[t.id] = fixed[i % fixed.length]; return; }
+    const v = t.cssVar ? s.getPropertyValue(t.cssVar)?.trim() : '';
+    out[t.id] = (v && v.length ? v : null) || t.color || (FALLBACK_COLORS[t.id] ?? '#cccccc');
+  });
   return out;
 }
 
-
-/* ============================== Beats Rules ============================= */
-// Rock crushes Scissors & Lizard
-// Paper covers Rock & disproves Spock
-// Scissors cut Paper & decapitate Lizard
-// Lizard poisons Spock & eats Paper
-// Spock smashes Scissors & vaporizes Rock
-const beats = {
-  circle: ['triangle', 'lizard'],
-  square: ['circle', 'spock'],
-  triangle: ['square', 'lizard'],
-  lizard: ['spock', 'square'],
-  spock: ['triangle', 'circle'],
-};
-
-const beatsMap = new Map(Object.entries(beats).map(([k, arr]) => [k, new Set(arr)]));
-function validateRules() {
-  const ids = new Set(TypeIds);
-  for (const [a, outs] of beatsMap) {
-    if (!ids.has(a)) throw new Error(`Rule references unknown type: ${a}`);
-    outs.forEach(b => {
-      if (!ids.has(b)) throw new Error(`Unknown target '${b}' in beats[${a}]`);
-      if (b === a) throw new Error(`Type '${a}' cannot beat itself`);
-      if (beatsMap.get(b)?.has(a)) throw new Error(`Conflict: both '${a}→${b}' and '${b}→${a}'`);
-    });
-  }
+/** Colours for canvas chrome drawn in JS (charts, rings, walls), from the theme's CSS variables. */
+function buildTheme() {
+  const s = getComputedStyle(document.documentElement);
+  const v = (name, fallback) => s.getPropertyValue(name)?.trim() || fallback;
+  return { text: v('--text', '#e8eef6'), muted: v('--muted', '#9fb3c8'), line: v('--line3', '#223048'), solid: v('--solid', '#243043'), bg: v('--bg', '#0b0f14'), well: v('--well', '#0c1420'), accent: v('--accent', '#4da3ff'), accent2: v('--accent2', '#63e6be'), danger: v('--danger', '#ff6b6b'), highlight: v('--highlight', '#ffd43b') };
 }
-validateRules();
 
-function winnerOf(aId, bId) {
-  if (aId === bId) return null;
-  const A = beatsMap.get(aId), B = beatsMap.get(bId);
-  if (A?.has(bId)) return aId;
-  if (B?.has(aId)) return bId;
-  return null;
-}
+// Computed styles are read once per ruleset or display change rather than every frame.
+let paletteCache = null, themeCache = null;
+function getPalette() { return paletteCache || (paletteCache = buildPalette()); }
+function getTheme() { return themeCache || (themeCache = buildTheme()); }
+
 
 /* ============================= Canvas setup ============================= */
 const canvas = document.getElementById('canvas');
@@ -148,8 +80,11 @@ const ctx = canvas.getContext('2d');
 const spark = document.getElementById('sparkline');
 const sctx = spark.getContext('2d');
 let DPR = 1, VIEW_W = 0, VIEW_H = 0, SPARK_W = 0, SPARK_H = 0;
+let view = { scale: 1, x: 0, y: 0 }; // world → canvas CSS px
+let resizedInReplay = false;
 
 function resizeCanvas() {
+  if (RPSCompare.isOpen()) return; // the main canvas is hidden while arenas are compared
   DPR = window.devicePixelRatio || 1;
   const rect = canvas.getBoundingClientRect();
   canvas.width = Math.floor(rect.width * DPR);
@@ -161,9 +96,20 @@ function resizeCanvas() {
   spark.height = Math.floor(srect.height * DPR);
   sctx.setTransform(DPR, 0, 0, DPR, 0, 0);
   SPARK_W = srect.width; SPARK_H = srect.height;
-  computeGridDims();
+  if (world && !replay) recordChange({ width: VIEW_W, height: VIEW_H });
+  else if (replay) resizedInReplay = true; // the live run follows the window when the replay ends
   drawSparkline();
+  syncWorkerLayer();
+}
+
+/** Fits the world into the canvas, centred. A loaded run keeps its own size, so it may be letterboxed. */
+function fitView() {
+  const { width: W, height: H } = world.config;
+  const scale = Math.min(VIEW_W / W, VIEW_H / H) || 1;
+  view = { scale, x: (VIEW_W - W * scale) / 2, y: (VIEW_H - H * scale) / 2 };
 }
+
+function applyView(c) { c.setTransform(DPR * view.scale, 0, 0, DPR * view.scale, DPR * view.x, DPR * view.y); }
 window.addEventListener('resize', resizeCanvas);
 
 /* ================================= RNG ================================= */
@@ -173,16 +119,11 @@ const applySeedBtn = document.getElementById('applySeedBtn');
 const randomSeedBtn = document.getElementById('randomSeedBtn');
 const copySeedBtn = document.getElementById('copySeedBtn');
 
-function xfnv1a(str) { let h = 0x811c9dc5; for (let i = 0; i < str.length; i++) { h ^= str.charCodeAt(i); h = Math.imul(h, 0x01000193); } return h >>> 0 }
-function mulberry32(a) { return function () { let t = a += 0x6D2B79F5; t = Math.imul(t ^ (t >>> 15), t | 1); t ^= t + Math.imul(t ^ (t >>> 7), t | 61); return ((t ^ (t >>> 14)) >>> 0) / 4294967296; } }
-
 let rngSeedStr = 'rps-12345';
-let rng = mulberry32(xfnv1a(rngSeedStr));
 function setSeed(str) {
   const safe = String(str).slice(0, MAX_SEED_LEN);
   if (safe.length !== String(str).length) toast(`Seed truncated to ${MAX_SEED_LEN} chars`);
   rngSeedStr = safe;
-  rng = mulberry32(xfnv1a(safe));
   seedNote.textContent = `Current seed: ${safe}`;
 }
 
@@ -204,49 +145,21 @@ randomSeedBtn.addEventListener('click', () => {
 });
 
 
-/* ============================== Entity ================================= */
-let ENTITY_ID = 1;
-// Physics constants (px/s and unitless)
-const REST = 1.0;       // restitution for collisions
-const VMAX = 600;       // max speed clamp (px/s)
-const EPS = 1e-3;      // positional slop
-
-class Entity {
-  constructor(typeIndex, x, y, r, vx, vy) {
-    this._id = ENTITY_ID++;
-    this.t = typeIndex; // index into TypeRegistry
-    this.x = x; this.y = y; this.r = r; this.vx = vx; this.vy = vy; // vx/vy in px/s
-    this.mass = r * r; this.side = r * Math.sqrt(2); this.base = r * 2;
-  }
-  draw(ctx, palette) { TypeRegistry[this.t].draw(ctx, this, palette); }
-  update(w, h, dt, spd, wrap) {
-    const adv = dt * spd;
-    this.x += this.vx * adv; this.y += this.vy * adv;
-    if (wrap) {
-      this.x = mod(this.x, w); this.y = mod(this.y, h);
-    } else {
-      if (this.x - this.r < 0) { this.x = this.r; this.vx = Math.abs(this.vx); }
-      if (this.x + this.r > w) { this.x = w - this.r; this.vx = -Math.abs(this.vx); }
-      if (this.y - this.r < 0) { this.y = this.r; this.vy = Math.abs(this.vy); }
-      if (this.y + this.r > h) { this.y = h - this.r; this.vy = -Math.abs(this.vy); }
-    }
-    clampVel(this);
-  }
-}
-
-function clampVel(e) {
-  const v2 = e.vx * e.vx + e.vy * e.vy;
-  if (v2 > VMAX * VMAX) { const s = VMAX / Math.sqrt(v2); e.vx *= s; e.vy *= s; }
-}
-
 /* ====================== Simulation state & UI refs ====================== */
-let entities = []; let animId = null; let running = false;
+// The headless core owns entities, RNG and collisions; this file only drives and draws it.
+let world = null; let animId = null; let running = false;
 let accumulator = 0; let lastTime = performance.now();
-const FIXED_DT = 1 / 60;
+let wallTime = 0; let runTicks = 0; // real seconds spent running and the ticks stepped meanwhile
+// Every live run is recorded as { config, events } so it can be replayed tick-for-tick.
+let recording = null; let replay = null; let liveWorld = null;
 
 const startBtn = document.getElementById('startBtn');
 const resetBtn = document.getElementById('resetBtn');
 const clearBtn = document.getElementById('clearBtn');
+const stepBtn = document.getElementById('stepBtn');
+const stepCountEl = document.getElementById('stepCount');
+const timeModeEl = document.getElementById('timeMode');
+const clockNoteEl = document.getElementById('clockNote');
 const speedEl = document.getElementById('speed');
 const sizeEl = document.getElementById('size');
 const statsEl = document.getElementById('stats');
@@ -255,6 +168,20 @@ const mixbarEl = document.getElementById('mixbar');
 const mixPctEl = document.getElementById('mixPct');
 const legendRow = document.getElementById('legendRow');
 const typeInputsWrap = document.getElementById('typeInputs');
+const logEveryEl = document.getElementById('logEvery');
+const restitutionEl = document.getElementById('restitution');
+const dragEl = document.getElementById('drag');
+const vmaxEl = document.getElementById('vmax');
+const jitterEl = document.getElementById('jitter');
+const massRuleEl = document.getElementById('massRule');
+const typePhysicsEl = document.getElementById('typePhysics');
+const onDefeatEl = document.getElementById('onDefeat');
+const hitsEl = document.getElementById('hits');
+const immunityEl = document.getElementById('immunity');
+const edgeOddsEl = document.getElementById('edgeOdds');
+const arenaEl = document.getElementById('arena');
+const spawnModeEl = document.getElementById('spawnMode');
+const layoutEl = document.getElementById('layout');
 
 const typeInputEls = [];
 const mixSegEls = [];
@@ -271,7 +198,8 @@ const storage = (() => {
 
 function buildTypeUI() {
   typeInputsWrap.innerHTML = ''; legendRow.innerHTML = ''; mixbarEl.innerHTML = '';
-  const palette = buildPalette();
+  typeInputEls.length = 0; mixSegEls.length = 0;
+  const palette = getPalette();
 
   TypeRegistry.forEach((t, i) => {
     // Input
@@ -313,78 +241,68 @@ function buildTypeUI() {
     const seg = document.createElement('div'); seg.className = 'seg'; seg.style.background = palette[t.id]; seg.style.width = '0%';
     mixbarEl.appendChild(seg); mixSegEls[i] = seg;
   });
+  fillBrushTypes(); RPSSweep.fillParams(); buildTypePhysicsUI(); buildEdgeOddsUI(); buildTypeSteerUI();
 }
 
 /* ====================== Clamp helper for inputs ====================== */
-function clampInput(el) {
-  let v = parseInt(el.value, 10);
+function clampCount(raw) {
+  let v = parseInt(raw, 10);
   if (Number.isNaN(v)) v = 0;
-  v = Math.max(0, Math.min(v, MAX_ENTITIES_PER_TYPE));
-  el.value = String(v);
-}
-
-// RNG helpers
-const rand = (min, max) => rng() * (max - min) + min;
-const randVel = () => { const angle = rng() * Math.PI * 2; const mag = (rand(0.8, 2.0)) * 60; return { vx: Math.cos(angle) * mag, vy: Math.sin(angle) * mag } }; // px/s
-
-function overlapsAny(x, y, r) {
-  for (let i = 0; i < entities.length; i++) {
-    const e = entities[i];
-    const dx = x - e.x, dy = y - e.y;
-    if (dx * dx + dy * dy < (r + e.r) * (r + e.r)) return true;
-  }
-  return false;
+  return Math.max(0, Math.min(v, MAX_ENTITIES_PER_TYPE));
 }
-
-function spawn(typeIndex, n, radius) {
-  n = Math.min(n, MAX_ENTITIES_PER_TYPE);
-  for (let i = 0; i < n; i++) {
-    const { vx, vy } = randVel();
-    let x, y; let tries = 0; const maxTries = 50;
-    do {
-      x = rand(radius + 2, VIEW_W - radius - 2);
-      y = rand(radius + 2, VIEW_H - radius - 2);
-    } while (overlapsAny(x, y, radius) && ++tries < maxTries);
-    entities.push(new Entity(typeIndex, x, y, radius, vx, vy));
-  }
+function clampInput(el) { el.value = String(clampCount(el.value)); }
+
+/** World config mirroring the current controls, arena size and ruleset. */
+function configFromControls(seed = rngSeedStr) {
+  return {
+    width: VIEW_W, height: VIEW_H,
+    speed: Number(speedEl.value),
+    wallMode: wallModeEl.value,
+    radius: Number(sizeEl.value),
+    counts: typeInputEls.map(el => Number(el.value || 0)),
+    seed,
+    types: TypeIds,
+    beats: rulesetBeats(activeRuleset),
+    logEvery: Math.max(1, Math.min(600, parseInt(logEveryEl.value, 10) || 1)),
+    spawnMode: spawnModeEl.value,
+    layout: layoutEl.value,
+    mask: layoutEl.value === 'mask' ? spawnMask : null,
+    ...physicsFromControls(),
+    ...conversionFromControls(),
+    ...steeringFromControls(),
+    ...endFromControls(),
+    arena: arenaEl.value,
+    obstacles: JSON.parse(JSON.stringify(obstacles)),
+  };
 }
 
 function initFromControls() {
-  entities = []; ENTITY_ID = 1; accumulator = 0; lastTime = performance.now();
+  accumulator = 0; lastTime = performance.now(); resetClock();
   Object.values(historyByType).forEach(arr => arr.length = 0);
   setSeed(seedInput.value);
 
-  const r = Number(sizeEl.value);
-  let total = 0;
-  TypeRegistry.forEach((t, i) => {
-    const want = Math.min(Number(typeInputEls[i].value || 0), MAX_ENTITIES_PER_TYPE);
-    const can = Math.max(0, Math.min(want, MAX_TOTAL_ENTITIES - total));
-    if (can < want) toast(`Capped ${t.id} at ${can} (global max)`);
-    spawn(i, can, r);
-    total += can;
-  });
+  const config = configFromControls();
+  world = new World(config);
+  recording = { version: 1, config: JSON.parse(JSON.stringify(config)), events: [], endTick: 0 };
+  world.capped.forEach(c => toast(`Capped ${c.type} at ${c.got} (global max)`));
+  updateSpawnNote();
 
   updateStatsAndCharts(); drawSparkline(); render();
 }
 
-function computeCounts() {
-  const counts = new Array(TypeRegistry.length).fill(0);
-  for (const e of entities) counts[e.t]++;
-  return counts;
-}
-
 function capFirst(str) {
   return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
 function updateStatsAndCharts() {
-  const counts = computeCounts();
+  const entities = world ? world.entities : [];
+  const counts = world ? world.getCounts() : new Array(TypeRegistry.length).fill(0);
   const total = entities.length || 1;
 
   const parts = counts.map((c, i) => `${TypeRegistry[i].id[0].toUpperCase() + TypeRegistry[i].id.slice(1)}: ${c}`);
   statsEl.textContent = `Total: ${entities.length} — ${parts.join(' | ')}`;
 
-  const palette = buildPalette();
+  const palette = getPalette();
   const pctLabel = [];
   counts.forEach((c, i) => {
     const pct = (c / total) * 100;
@@ -394,143 +312,301 @@ function updateStatsAndCharts() {
   });
   mixPctEl.textContent = pctLabel.join(' • ');
 
-  const typesPresent = counts.filter(v => v > 0).length;
-  if (running && entities.length > 0 && typesPresent === 1) {
+  if (running && world.isFinished()) {
     running = false; if (animId != null) cancelAnimationFrame(animId); animId = null;
-    const winnerIndex = counts.findIndex(v => v > 0);
-    const winnerName = capFirst(TypeRegistry[winnerIndex].id);
-    toast(`${winnerName} wins!`);
+    toast(outcomeMessage(world));
     startBtn.textContent = 'Resume';
     render();
   }
 
+  showResult(world && world.isFinished() ? world.result() : null);
+  narrateStats(counts);
   maybeSampleSpark(counts.map(c => c / total));
+  updateReplayUI(); updateLogNote(); updateInspector(); refreshEvents(); updateClock(); drawChart();
 }
 
-/* ========================== Collisions (grid) =========================== */
-const grid = new Map(); let CELL = 40; let GW = 1, GH = 1; let WRAP_ACTIVE = false;
-const cellKey = (ix, iy) => ix + '|' + iy;
-const mod = (n, m) => ((n % m) + m) % m;
-function clampIdx(ix, max) { return Math.max(0, Math.min(ix, max)); }
-
-function computeGridDims() { GW = Math.max(1, Math.ceil(VIEW_W / CELL)); GH = Math.max(1, Math.ceil(VIEW_H / CELL)); }
-
-function insertIntoGrid(e) {
-  let minx = Math.floor((e.x - e.r) / CELL);
-  let maxx = Math.floor((e.x + e.r) / CELL);
-  let miny = Math.floor((e.y - e.r) / CELL);
-  let maxy = Math.floor((e.y + e.r) / CELL);
-  for (let iy = miny; iy <= maxy; iy++) {
-    for (let ix = minx; ix <= maxx; ix++) {
-      const gx = WRAP_ACTIVE ? mod(ix, GW) : clampIdx(ix, GW - 1);
-      const gy = WRAP_ACTIVE ? mod(iy, GH) : clampIdx(iy, GH - 1);
-      const k = cellKey(gx, gy); let b = grid.get(k); if (!b) { b = []; grid.set(k, b) } b.push(e);
-    }
-  }
-}
-
-function periodicDelta(ax, ay, bx, by) {
-  let dx = bx - ax, dy = by - ay;
-  if (WRAP_ACTIVE) {
-    if (dx > VIEW_W / 2) dx -= VIEW_W; else if (dx < -VIEW_W / 2) dx += VIEW_W;
-    if (dy > VIEW_H / 2) dy -= VIEW_H; else if (dy < -VIEW_H / 2) dy += VIEW_H;
-  }
-  return { dx, dy };
-}
-
-function narrowPhase(a, b) {
-  const { dx, dy } = periodicDelta(a.x, a.y, b.x, b.y);
-  const minDist = a.r + b.r;
-  const dist2 = dx * dx + dy * dy; if (dist2 > minDist * minDist) return;
-
-  const aId = TypeRegistry[a.t].id;
-  const bId = TypeRegistry[b.t].id;
-  const winId = winnerOf(aId, bId);
-  if (winId) { if (winId === aId) b.t = a.t; else a.t = b.t; }
-
-  const dist = Math.sqrt(dist2) || 0.0001;
-  const nx = dx / dist, ny = dy / dist;
-  const overlap = Math.max(0, (minDist - dist) + EPS);
-  a.x -= nx * overlap / 2; a.y -= ny * overlap / 2;
-  b.x += nx * overlap / 2; b.y += ny * overlap / 2;
-  if (WRAP_ACTIVE) {
-    a.x = mod(a.x, VIEW_W); a.y = mod(a.y, VIEW_H);
-    b.x = mod(b.x, VIEW_W); b.y = mod(b.y, VIEW_H);
-  }
-
-  const va = a.vx * nx + a.vy * ny; const vb = b.vx * nx + b.vy * ny;
-  const ma = a.mass, mb = b.mass;
-  const vaAfter = (va * (ma - mb) + 2 * mb * vb) / (ma + mb);
-  const vbAfter = (vb * (mb - ma) + 2 * ma * va) / (ma + mb);
-  const dvA = (vaAfter - va) * REST, dvB = (vbAfter - vb) * REST;
-  a.vx += dvA * nx; a.vy += dvA * ny;
-  b.vx += dvB * nx; b.vy += dvB * ny;
-  clampVel(a); clampVel(b);
-}
-
-function handleCollisionsGrid() {
-  grid.clear();
-  for (const e of entities) insertIntoGrid(e);
-  for (const [k, bucket] of grid) {
-    const [cx, cy] = k.split('|').map(Number);
-    for (let dy = -1; dy <= 1; dy++) {
-      for (let dx = -1; dx <= 1; dx++) {
-        let nx = WRAP_ACTIVE ? mod(cx + dx, GW) : (cx + dx);
-        let ny = WRAP_ACTIVE ? mod(cy + dy, GH) : (cy + dy);
-        if (nx < 0 || ny < 0 || nx >= GW || ny >= GH) continue;
-        const nb = grid.get(cellKey(nx, ny));
-        if (!nb) continue;
-        for (let i = 0; i < bucket.length; i++) {
-          const a = bucket[i];
-          for (const b of nb) {
-            if (a === b) continue;
-            if (a._id > b._id) continue;
-            narrowPhase(a, b);
-          }
-        }
-      }
-    }
+/** Toast text for a decided world (see World.outcome). */
+function outcomeMessage(w) {
+  const outcome = w.outcome();
+  if (outcome === 'win') return `${capFirst(w.getWinner())} wins!`;
+  if (outcome === 'extinct') return 'No entities left';
+  if (outcome === 'timeout') return `Time limit reached at ${fmtTime(w.tick)}`;
+  if (outcome === 'cycle') return `Cycle — populations repeat every ${w.pattern.period.toFixed(1)}s`;
+  if (outcome === 'stalemate') {
+    const { quietFor, cycleWindow } = w.config;
+    return quietFor > 0 && w.time - w.lastConversionAt >= quietFor - 1e-9 ? `Stalemate — no conversions for ${quietFor}s` : `Stalemate — populations flat for ${cycleWindow}s`;
   }
+  const left = w.getCounts().map((n, t) => (n ? capFirst(w.types[t]) : null)).filter(Boolean);
+  return `Draw — ${left.join(', ')} can no longer defeat each other`;
 }
 
 /* ============================== Stepping ================================ */
 function step(dt) {
-  const spd = Number(speedEl.value);
-  const wrap = (wallModeEl.value === 'wrap');
-  WRAP_ACTIVE = wrap;
-  for (const e of entities) { e.update(VIEW_W, VIEW_H, dt, spd, wrap); }
-  handleCollisionsGrid();
+  world.debug = debugToggle.checked ? (world.debug || {}) : null;
+  if (replay) replay.step(); else world.step(dt);
+  if (world.debug) accumulateDebugStats(world.stats);
+}
+
+/** Applies an event to the live world and records it at the current tick. */
+function recordEvent(ev) {
+  if (!world || replay) return;
+  ev = { tick: world.tick, ...ev };
+  world.applyEvent(ev);
+  if (recording) recording.events.push(ev);
 }
 
+function recordChange(patch) { recordEvent({ type: 'config', patch }); }
+
+let packBuf = null;
+const FAST_FORWARD_MS = 14; // stepping budget per frame in fast-forward
+
+/** Draws all entities batched by type; in worker mode they are posted to the offscreen layer instead. */
 function render() {
-  const palette = buildPalette();
+  const t0 = performance.now();
+  ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
   ctx.clearRect(0, 0, VIEW_W, VIEW_H);
-  for (const e of entities) { e.draw(ctx, palette); }
+  if (!world) return;
+  fitView(); applyView(ctx);
+  if (view.x || view.y) drawArenaFrame();
+  drawSolids(); drawHeatmap(); drawObstacleDraft();
+  if (renderWorker) postWorkerFrame();
+  else drawEntities(ctx, DPR * view.scale);
+  drawLineage(); drawInspectRing();
+  if (debugToggle.checked) { noteRender(performance.now() - t0); drawDebugOverlay(); }
+  ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
+}
+
+/** Outlines the arena when it does not fill the canvas. */
+function drawArenaFrame() {
+  ctx.save();
+  ctx.strokeStyle = getTheme().line; ctx.lineWidth = 1 / view.scale;
+  ctx.strokeRect(0, 0, world.config.width, world.config.height);
+  ctx.restore();
+}
+
+function drawEntities(c, dpr) {
+  const palette = getPalette();
+  packBuf = packEntities(world.entities, packBuf);
+  drawPacked(c, packBuf, world.entities.length, TypeRegistry, TypeRegistry.map(t => palette[t.id]), dpr, drawOptions());
 }
 
 function frame() {
   const now = performance.now();
+  wallTime += (now - lastTime) / 1000;
   let dt = (now - lastTime) / 1000; if (dt > 0.1) dt = 0.1; lastTime = now;
-  accumulator += dt;
-  while (accumulator >= FIXED_DT) { step(FIXED_DT); accumulator -= FIXED_DT; }
+  let steps = 0;
+  if (timeModeEl.value === 'max') {
+    // Fast-forward: as many fixed steps as fit in the frame budget, then one render
+    const until = now + FAST_FORWARD_MS;
+    do { step(FIXED_DT); steps++; } while (performance.now() < until && !world.isFinished() && !(replay && replay.tick >= replay.endTick));
+    accumulator = 0;
+  } else {
+    const rate = Number(timeModeEl.value) || 1;
+    accumulator += dt * rate;
+    while (accumulator >= FIXED_DT) {
+      step(FIXED_DT); accumulator -= FIXED_DT; steps++;
+      if (rate > 1 && world.isFinished()) { accumulator = 0; break; } // don't run on past the end at high rates
+    }
+  }
+  runTicks += steps;
+  noteFrame(dt, steps);
   render();
   updateStatsAndCharts();
+  if (running && replay && replay.tick >= replay.endTick) { pause(); toast('End of recording'); }
   if (running) animId = requestAnimationFrame(frame);
 }
 
 /* ============================= UI handlers ============================= */
 function startPauseToggle() {
-  if (!running) { if (entities.length === 0) initFromControls(); running = true; lastTime = performance.now(); frame(); startBtn.textContent = 'Pause'; }
-  else { running = false; if (animId != null) cancelAnimationFrame(animId); startBtn.textContent = 'Resume'; }
+  if (!running) {
+    if (replay && replay.tick >= replay.endTick) seekReplay(0);
+    else if (!world || world.entities.length === 0) initFromControls();
+    running = true; lastTime = performance.now(); frame(); startBtn.textContent = 'Pause';
+  }
+  else pause();
 }
-function reset() { initFromControls(); running = false; if (animId != null) cancelAnimationFrame(animId); animId = null; updateStatsAndCharts(); drawSparkline(); startBtn.textContent = 'Start'; }
-function clearAll() { running = false; if (animId != null) cancelAnimationFrame(animId); animId = null; entities = []; accumulator = 0; ctx.clearRect(0, 0, VIEW_W, VIEW_H); mixSegEls.forEach(seg => seg.style.width = '0%'); mixPctEl.textContent = '—'; Object.values(historyByType).forEach(arr => arr.length = 0); drawSparkline(); updateStatsAndCharts(); startBtn.textContent = 'Start'; }
+/** Advances `n` fixed steps while paused, stopping early if the run ends, and redraws once. */
+function stepBy(n) {
+  if (running) pause();
+  if (!world) initFromControls();
+  const wasDone = world.isFinished();
+  for (let i = 0; i < n; i++) {
+    step(FIXED_DT);
+    if (!wasDone && world.isFinished()) { toast(outcomeMessage(world)); break; }
+  }
+  if (!replay) startBtn.textContent = 'Resume';
+  render(); updateStatsAndCharts(); drawSparkline();
+}
+
+function clampStepCount() { return Math.max(1, Math.min(10000, parseInt(stepCountEl.value, 10) || 1)); }
+
+function resetClock() { wallTime = 0; runTicks = 0; }
+
+function updateClock() {
+  if (!world) { clockNoteEl.textContent = '—'; return; }
+  const rate = wallTime > 0 ? ` • ${(runTicks * FIXED_DT / wallTime).toFixed(2)}× real time` : '';
+  clockNoteEl.textContent = `Sim ${world.time.toFixed(2)}s (tick ${world.tick}) • wall ${wallTime.toFixed(1)}s${rate}`;
+}
+
+function pause() { running = false; if (animId != null) cancelAnimationFrame(animId); animId = null; startBtn.textContent = 'Resume'; }
+function reset() { if (replay) exitReplay(); initFromControls(); running = false; if (animId != null) cancelAnimationFrame(animId); animId = null; updateStatsAndCharts(); drawSparkline(); startBtn.textContent = 'Start'; }
+function clearAll() { if (replay) exitReplay(); running = false; if (animId != null) cancelAnimationFrame(animId); animId = null; if (world) world.clear(); accumulator = 0; ctx.clearRect(0, 0, VIEW_W, VIEW_H); mixSegEls.forEach(seg => seg.style.width = '0%'); mixPctEl.textContent = '—'; Object.values(historyByType).forEach(arr => arr.length = 0); drawSparkline(); updateStatsAndCharts(); startBtn.textContent = 'Start'; }
 
 startBtn.addEventListener('click', startPauseToggle);
 resetBtn.addEventListener('click', reset);
 clearBtn.addEventListener('click', clearAll);
-sizeEl.addEventListener('input', () => { if (!running) reset(); updateCellSize(); });
-wallModeEl.addEventListener('change', () => { if (!running) reset(); });
+stepBtn.addEventListener('click', () => stepBy(clampStepCount()));
+stepCountEl.addEventListener('change', () => { stepCountEl.value = String(clampStepCount()); saveCommon(); });
+timeModeEl.addEventListener('change', () => { accumulator = 0; saveCommon(); });
+
+/* ============================== Keyboard =============================== */
+const helpOverlay = document.getElementById('helpOverlay');
+const helpBtn = document.getElementById('helpBtn');
+const helpCloseBtn = document.getElementById('helpCloseBtn');
+let helpReturnFocus = null;
+
+function showHelp(show) {
+  if (show === !helpOverlay.hidden) return;
+  helpOverlay.hidden = !show;
+  if (show) { helpReturnFocus = document.activeElement; helpCloseBtn.focus(); }
+  else if (helpReturnFocus && helpReturnFocus.focus) helpReturnFocus.focus();
+}
+
+// Typing into a field keeps its keys; a focused button keeps Space for its own click.
+function isTypingTarget(el) {
+  return !!el && (el.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName));
+}
+
+document.addEventListener('keydown', (ev) => {
+  if (ev.ctrlKey || ev.metaKey || ev.altKey || isTypingTarget(ev.target)) return;
+  if (!helpOverlay.hidden) {
+    if (ev.key === 'Escape' || ev.key === '?') { ev.preventDefault(); showHelp(false); }
+    return;
+  }
+  if (/^[1-9]$/.test(ev.key)) {
+    const i = Number(ev.key) - 1;
+    if (i < TypeRegistry.length) { brushTypeEl.value = String(i); toast(`Paint type: ${TypeRegistry[i].label}`); }
+    return;
+  }
+  switch (ev.key) {
+    case ' ':
+      if (ev.target.tagName === 'BUTTON') return;
+      ev.preventDefault();
+      if (RPSCompare.isOpen()) RPSCompare.startPause(); else startPauseToggle();
+      break;
+    case 'ArrowRight':
+      ev.preventDefault();
+      if (RPSCompare.isOpen()) RPSCompare.stepBy(ev.shiftKey ? RPSCompare.stepCount() : 1); else stepBy(ev.shiftKey ? clampStepCount() : 1);
+      break;
+    case 'r': case 'R':
+      if (RPSCompare.isOpen()) RPSCompare.reset(); else reset();
+      break;
+    case 'f': case 'F':
+      timeModeEl.value = timeModeEl.value === 'max' ? '1' : 'max';
+      timeModeEl.dispatchEvent(new Event('change'));
+      toast(timeModeEl.value === 'max' ? 'Fast-forward on' : 'Real time'); break;
+    case '?':
+      ev.preventDefault(); showHelp(true); break;
+  }
+});
+helpBtn.addEventListener('click', () => showHelp(true));
+helpCloseBtn.addEventListener('click', () => showHelp(false));
+helpOverlay.addEventListener('click', ev => { if (ev.target === helpOverlay) showHelp(false); });
+
+/* ======================= Display & accessibility ======================= */
+const paletteEl = document.getElementById('palette');
+const themeEl = document.getElementById('theme');
+const patternToggle = document.getElementById('patternToggle');
+const labelsToggle = document.getElementById('labelsToggle');
+const narrateToggle = document.getElementById('narrateToggle');
+const narrationEl = document.getElementById('narration');
+
+const NARRATE_MS = 4000; // at most one announcement per interval; results are announced at once
+let narr = null; // { world, alive, leader, said, extinct, done } for the world being narrated
+let lastNarration = -Infinity;
+
+/** Options for RPSRender.drawPacked. */
+function drawOptions() {
+  return { patterns: patternToggle.checked, labels: labelsToggle.checked ? 'always' : 'auto', outline: paletteEl.value === 'contrast' ? getTheme().text : null };
+}
+
+function applyDisplay() {
+  document.documentElement.dataset.palette = paletteEl.value;
+  document.documentElement.dataset.theme = themeEl.value;
+  paletteCache = null; themeCache = null;
+}
+
+/** Repaints everything that holds type or theme colours. */
+function redrawDisplay() {
+  const palette = getPalette();
+  legendRow.querySelectorAll('.chip').forEach((chip, i) => { if (TypeRegistry[i]) chip.style.background = palette[TypeRegistry[i].id]; });
+  mixSegEls.forEach((seg, i) => { if (TypeRegistry[i]) seg.style.background = palette[TypeRegistry[i].id]; });
+  workerTypesSent = null;
+  render(); drawSparkline(); drawChart(true);
+  RPSSweep.redraw();
+  if (RPSCompare.isOpen()) RPSCompare.recolor();
+}
+
+function onDisplayChange() {
+  storage.setItem('rps_palette', paletteEl.value); storage.setItem('rps_theme', themeEl.value);
+  storage.setItem('rps_patterns', patternToggle.checked ? '1' : '0'); storage.setItem('rps_labels', labelsToggle.checked ? '1' : '0');
+  applyDisplay(); redrawDisplay();
+}
+
+/** The type with the most entities, or -1 on a tie for first. */
+function leaderOf(counts) {
+  let best = -1, tie = false;
+  counts.forEach((c, t) => { if (best < 0 || c > counts[best]) { best = t; tie = false; } else if (c === counts[best]) tie = true; });
+  return tie || !counts[best] ? -1 : best;
+}
+
+function say(text) { narrationEl.textContent = text; lastNarration = performance.now(); }
+
+// Called with each stats update: extinctions and lead changes are batched into one
+// announcement per NARRATE_MS; the end of a run is announced straight away.
+function narrateStats(counts) {
+  if (!narrateToggle.checked || !world) return;
+  if (!narr || narr.world !== world) {
+    narr = { world, alive: counts.map(c => c > 0), leader: leaderOf(counts), said: leaderOf(counts), extinct: [], done: world.isFinished() };
+    return;
+  }
+  counts.forEach((c, t) => {
+    if (narr.alive[t] && !c) narr.extinct.push(capFirst(world.types[t]));
+    narr.alive[t] = c > 0;
+  });
+  const done = world.isFinished();
+  if (done && !narr.done) {
+    const left = counts.map((c, t) => (c ? `${capFirst(world.types[t])} ${c}` : null)).filter(Boolean);
+    say(`${outcomeMessage(world)} Final counts: ${left.join(', ') || 'none'}.`);
+    narr.extinct = []; narr.done = true; narr.said = leaderOf(counts);
+    return;
+  }
+  narr.done = done;
+  if (performance.now() - lastNarration < NARRATE_MS) return;
+  const parts = narr.extinct.map(id => `${id} went extinct.`);
+  const lead = leaderOf(counts);
+  if (lead >= 0 && lead !== narr.said) {
+    parts.push(`${capFirst(world.types[lead])} takes the lead with ${counts[lead]} of ${counts.reduce((a, b) => a + b, 0)}.`);
+    narr.said = lead;
+  }
+  narr.extinct = [];
+  if (parts.length) say(parts.join(' '));
+}
+
+paletteEl.value = storage.getItem('rps_palette') || 'default';
+themeEl.value = storage.getItem('rps_theme') || 'dark';
+patternToggle.checked = storage.getItem('rps_patterns') === '1';
+labelsToggle.checked = storage.getItem('rps_labels') === '1';
+narrateToggle.checked = storage.getItem('rps_narrate') !== '0';
+applyDisplay();
+[paletteEl, themeEl, patternToggle, labelsToggle].forEach(el => el.addEventListener('change', onDisplayChange));
+narrateToggle.addEventListener('change', () => {
+  storage.setItem('rps_narrate', narrateToggle.checked ? '1' : '0');
+  narr = null; if (!narrateToggle.checked) narrationEl.textContent = '';
+});
+sizeEl.addEventListener('input', () => { if (!running) reset(); else recordChange({ radius: Number(sizeEl.value) }); });
+wallModeEl.addEventListener('change', () => { if (!running) reset(); else recordChange({ wallMode: wallModeEl.value }); updateArenaNote(); });
+speedEl.addEventListener('input', () => recordChange({ speed: Number(speedEl.value) }));
 
 /* =============================== Toast ================================= */
 function toast(msg) { const div = document.createElement('div'); div.className = 'toast'; div.textContent = msg; div.setAttribute('role','status'); div.setAttribute('aria-live','polite'); document.body.appendChild(div); setTimeout(() => div.remove(), 1600); }
@@ -555,9 +631,9 @@ function maybeSampleSpark(proportionsArr) {
 }
 function drawSparkline() {
   ensureHistories();
-  const palette = buildPalette();
+  const palette = getPalette();
   sctx.clearRect(0, 0, SPARK_W, SPARK_H);
-  sctx.lineWidth = 1; sctx.globalAlpha = .25; sctx.strokeStyle = '#223048';
+  sctx.lineWidth = 1; sctx.globalAlpha = .25; sctx.strokeStyle = getTheme().line;
   [1 / 3, 2 / 3].forEach(fr => { sctx.beginPath(); const y = SPARK_H * (1 - fr); sctx.moveTo(0, y); sctx.lineTo(SPARK_W, y); sctx.stroke(); });
   sctx.globalAlpha = 1;
 
@@ -579,10 +655,8 @@ function drawSparkline() {
 }
 
 /* =============================== Helpers =============================== */
-function updateCellSize() { const r = Number(sizeEl.value); CELL = Math.max(24, r * 2 + 6); computeGridDims(); }
-
 // Persist common controls
-const UI_KEYS_COMMON = ['wallMode', 'speed', 'size', 'seedInput'];
+const UI_KEYS_COMMON = ['wallMode', 'speed', 'size', 'seedInput', 'logEvery', 'spawnMode', 'layout', 'restitution', 'drag', 'vmax', 'jitter', 'massRule', 'onDefeat', 'hits', 'immunity', 'arena', 'timeLimit', 'timeLimitUnit', 'quietFor', 'cycleWindow', 'stepCount', 'timeMode', 'chartMode', 'chartAxis', 'compareCount', 'compareMode', 'compareSteps', 'compareRate', 'tourneyBudget', 'tourneySeeds', 'tourneyMaxTime'];
 function saveCommon() { UI_KEYS_COMMON.forEach(k => { const el = document.getElementById(k); if (el) storage.setItem('rps_' + k, el.value); }); }
 function loadCommon() { UI_KEYS_COMMON.forEach(k => { const v = storage.getItem('rps_' + k); const el = document.getElementById(k); if (v != null && el) el.value = v; }); }
 ['input', 'change'].forEach(evt => {
@@ -592,14 +666,2124 @@ function loadCommon() { UI_KEYS_COMMON.forEach(k => { const v = storage.getItem(
   });
 });
 
+function addOption(sel, value, text) { const o = document.createElement('option'); o.value = value; o.textContent = text; sel.appendChild(o); }
+
+function downloadFile(name, text, mime = 'application/json') {
+  downloadBlob(name, new Blob([text], { type: mime }));
+}
+function downloadBlob(name, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a'); a.href = url; a.download = name;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/* ============================= Rules editor ============================ */
+const rulePresetEl = document.getElementById('rulePreset');
+const rulesListEl = document.getElementById('rulesList');
+const rulesErrorsEl = document.getElementById('rulesErrors');
+const ruleNameEl = document.getElementById('ruleName');
+const addTypeBtn = document.getElementById('addTypeBtn');
+const applyRulesBtn = document.getElementById('applyRulesBtn');
+const saveRulesBtn = document.getElementById('saveRulesBtn');
+const exportRulesBtn = document.getElementById('exportRulesBtn');
+const importRulesBtn = document.getElementById('importRulesBtn');
+const importRulesFile = document.getElementById('importRulesFile');
+
+const MAX_RULE_TYPES = 16;
+const RULE_ID_RE = /^[a-z][a-z0-9_-]{0,23}$/;
+let ruleDraft = []; // editable copies of the type defs; `beats` kept as the raw comma list
+
+/** Coerces parsed JSON into a ruleset shape; the beats checks are left to `ruleErrors`. */
+function normalizeRuleset(raw) {
+  if (!raw || !Array.isArray(raw.types)) throw new Error('Ruleset needs a "types" array');
+  if (raw.types.length > MAX_RULE_TYPES) throw new Error(`At most ${MAX_RULE_TYPES} types are supported`);
+  return {
+    name: String(raw.name || 'Custom').slice(0, 40),
+    types: raw.types.map(t => {
+      const id = String(t?.id ?? '').trim();
+      const def = {
+        id,
+        label: String(t.label || capFirst(id)).slice(0, 40),
+        shape: SHAPE_NAMES.includes(t.shape) ? t.shape : 'circle',
+        letter: String(t.letter || id.charAt(0).toUpperCase()).slice(0, 2),
+        beats: Array.isArray(t.beats) ? t.beats.map(String) : [],
+      };
+      if (t.cssVar) def.cssVar = String(t.cssVar);
+      if (t.color) def.color = String(t.color);
+      return def;
+    }),
+  };
+}
+
+/** Per-row error lists for a ruleset, plus errors that belong to no single row. */
+function rulesetErrors(rs) {
+  const rows = rs.types.map(() => []);
+  const general = [];
+  const index = new Map();
+  rs.types.forEach((t, i) => {
+    if (!RULE_ID_RE.test(t.id)) rows[i].push('Id must be lowercase letters, digits, _ or - (starting with a letter)');
+    else if (index.has(t.id)) rows[i].push(`Duplicate id '${t.id}'`);
+    else index.set(t.id, i);
+    if (!t.letter) rows[i].push('Letter is required');
+  });
+  if (rs.types.length < 2) general.push('A ruleset needs at least two types');
+  const beatsMap = RPSCore.buildBeatsMap(rulesetBeats(rs));
+  for (const err of RPSCore.ruleErrors(rs.types.map(t => t.id), beatsMap)) {
+    const i = index.get(err.type);
+    if (i != null) rows[i].push(err.message); else general.push(err.message);
+  }
+  return { rows, general, ok: general.length === 0 && rows.every(r => r.length === 0) };
+}
+
+function draftRuleset() {
+  return normalizeRuleset({
+    name: ruleNameEl.value,
+    types: ruleDraft.map(d => ({ ...d, beats: d.beats.split(',').map(s => s.trim()).filter(Boolean) })),
+  });
+}
+
+function loadDraft(rs) {
+  const palette = getPalette();
+  ruleDraft = rs.types.map(t => ({ ...t, color: t.color || palette[t.id] || '#cccccc', beats: t.beats.join(', ') }));
+  ruleNameEl.value = rs.name;
+  renderRuleEditor();
+}
+
+function renderRuleEditor() {
+  rulesListEl.innerHTML = '';
+  ruleDraft.forEach((d, i) => {
+    const row = document.createElement('div'); row.className = 'rule-row';
+    const field = (key, attrs, cls) => {
+      const el = document.createElement(attrs.tag || 'input');
+      if (!attrs.tag) el.type = attrs.type || 'text';
+      if (attrs.placeholder) el.placeholder = attrs.placeholder;
+      if (attrs.maxLength) el.maxLength = attrs.maxLength;
+      (attrs.options || []).forEach(o => { const opt = document.createElement('option'); opt.value = o; opt.textContent = o; el.appendChild(opt); });
+      el.value = d[key];
+      el.setAttribute('aria-label', `${attrs.placeholder || key} for type ${i + 1}`);
+      if (cls) el.className = cls;
+      el.addEventListener('input', () => { d[key] = el.value; showDraftErrors(); });
+      row.appendChild(el);
+      return el;
+    };
+    field('id', { placeholder: 'id', maxLength: 24 });
+    field('letter', { placeholder: 'letter', maxLength: 2 });
+    field('shape', { tag: 'select', options: SHAPE_NAMES });
+    const colorEl = field('color', { type: 'color', placeholder: 'color' });
+    colorEl.addEventListener('input', () => { delete d.cssVar; });
+    const rm = document.createElement('button'); rm.className = 'ghost'; rm.textContent = '×'; rm.title = 'Remove type';
+    rm.addEventListener('click', () => { ruleDraft.splice(i, 1); renderRuleEditor(); });
+    row.appendChild(rm);
+    field('label', { placeholder: 'label', maxLength: 40 }, 'rule-wide');
+    field('beats', { placeholder: 'beats (comma-separated ids)' }, 'rule-wide');
+    const err = document.createElement('div'); err.className = 'rule-err rule-wide';
+    row.appendChild(err);
+    rulesListEl.appendChild(row);
+  });
+  addTypeBtn.disabled = ruleDraft.length >= MAX_RULE_TYPES;
+  showDraftErrors();
+}
+
+function showDraftErrors() {
+  const { rows, general, ok } = rulesetErrors(draftRuleset());
+  [...rulesListEl.children].forEach((row, i) => { row.querySelector('.rule-err').textContent = rows[i].join(' • '); });
+  rulesErrorsEl.textContent = general.join(' • ');
+  applyRulesBtn.disabled = !ok;
+  return ok;
+}
+
+function loadSavedRulesets() {
+  try { return JSON.parse(storage.getItem('rps_rulesets') || '{}') || {}; }
+  catch { return {}; }
+}
+
+function fillRulePresets() {
+  rulePresetEl.innerHTML = '';
+  const add = (value, text) => { const o = document.createElement('option'); o.value = value; o.textContent = text; rulePresetEl.appendChild(o); };
+  add('', '—');
+  Object.keys(RULE_PRESETS).forEach(k => add('preset:' + k, k));
+  Object.keys(loadSavedRulesets()).forEach(k => add('saved:' + k, `${k} (saved)`));
+}
+
+/** Swaps in a validated ruleset: rebuilds type UI, mix bar and histories, then re-spawns. */
+function applyRuleset(rs) {
+  useRuleset(rs);
+  reset();
+}
+
+/** Same as applyRuleset() but leaves re-spawning to the caller. */
+function useRuleset(rs) {
+  const { ok, rows, general } = rulesetErrors(rs);
+  if (!ok) throw new Error([...general, ...rows.flat()][0]);
+  setActiveRuleset(rs);
+  storage.setItem('rps_ruleset', JSON.stringify(rs));
+  Object.keys(historyByType).forEach(k => delete historyByType[k]);
+  buildTypeUI();
+}
+
+rulePresetEl.addEventListener('change', () => {
+  const [kind, name] = rulePresetEl.value.split(/:(.*)/s);
+  const rs = kind === 'preset' ? RULE_PRESETS[name] : kind === 'saved' ? loadSavedRulesets()[name] : null;
+  if (rs) loadDraft(normalizeRuleset(rs));
+});
+addTypeBtn.addEventListener('click', () => {
+  let n = ruleDraft.length + 1; while (ruleDraft.some(d => d.id === `type${n}`)) n++;
+  ruleDraft.push({ id: `type${n}`, label: `Type ${n}`, shape: 'circle', letter: String(n), color: '#cccccc', beats: '' });
+  renderRuleEditor();
+});
+applyRulesBtn.addEventListener('click', () => {
+  if (!showDraftErrors()) return;
+  applyRuleset(draftRuleset()); toast(`Ruleset "${activeRuleset.name}" applied`);
+});
+saveRulesBtn.addEventListener('click', () => {
+  const rs = draftRuleset();
+  if (!rulesetErrors(rs).ok) { toast('Fix the rule errors before saving'); return; }
+  const saved = loadSavedRulesets(); saved[rs.name] = rs;
+  storage.setItem('rps_rulesets', JSON.stringify(saved));
+  fillRulePresets(); toast(`Saved "${rs.name}"`);
+});
+exportRulesBtn.addEventListener('click', () => {
+  const rs = draftRuleset();
+  downloadFile(`${rs.name.replace(/[^\w-]+/g, '_') || 'ruleset'}.json`, JSON.stringify(rs, null, 2));
+});
+importRulesBtn.addEventListener('click', () => importRulesFile.click());
+importRulesFile.addEventListener('change', async () => {
+  const file = importRulesFile.files[0]; importRulesFile.value = '';
+  if (!file) return;
+  try { loadDraft(normalizeRuleset(JSON.parse(await file.text()))); toast('Ruleset imported — review and Apply'); }
+  catch (err) { toast(`Import failed: ${err.message}`); }
+});
+
+/** Restores the last applied ruleset, falling back to RPSLS if it is missing or invalid. */
+function loadActiveRuleset() {
+  const raw = storage.getItem('rps_ruleset');
+  if (!raw) return;
+  try {
+    const rs = normalizeRuleset(JSON.parse(raw));
+    if (!rulesetErrors(rs).ok) throw new Error('invalid');
+    setActiveRuleset(rs);
+  } catch {
+    storage.removeItem('rps_ruleset'); toast('Saved ruleset was invalid; using RPSLS');
+  }
+}
+
+/** Pushes a World config back into the controls (and their stored values). */
+function applyConfigToControls(cfg) {
+  if (cfg.wallMode) wallModeEl.value = cfg.wallMode;
+  if (cfg.speed != null) speedEl.value = String(cfg.speed);
+  if (cfg.radius != null) sizeEl.value = String(cfg.radius);
+  if (cfg.seed != null) seedInput.value = cfg.seed;
+  if (SPAWN_MODES.includes(cfg.spawnMode)) spawnModeEl.value = cfg.spawnMode;
+  if (LAYOUTS.includes(cfg.layout)) layoutEl.value = cfg.layout;
+  if (cfg.mask && parseMask(cfg.mask)) setSpawnMask(cfg.mask);
+  [['restitution', restitutionEl], ['drag', dragEl], ['vmax', vmaxEl], ['jitter', jitterEl]].forEach(([k, el]) => { if (cfg[k] != null) el.value = String(cfg[k]); });
+  if (MASS_RULES.includes(cfg.massRule)) massRuleEl.value = cfg.massRule;
+  if (cfg.typeSpeed || cfg.typeRadius) applyTypePhysics(cfg.typeSpeed, cfg.typeRadius);
+  updatePhysicsNote();
+  if (DEFEAT_MODES.includes(cfg.onDefeat)) onDefeatEl.value = cfg.onDefeat;
+  if (cfg.hits != null) hitsEl.value = String(clampHits(cfg.hits));
+  if (cfg.immunity != null) immunityEl.value = String(cfg.immunity);
+  if (cfg.odds) applyEdgeOdds(cfg.odds);
+  updateConversionNote();
+  if (cfg.steering != null) { steeringEl.checked = !!cfg.steering; storage.setItem('rps_steering', steeringEl.checked ? '1' : '0'); }
+  if (cfg.typeSteer) applyTypeSteer(cfg.typeSteer);
+  updateSteerNote();
+  if (cfg.maxTicks != null) setTimeLimit(cfg.maxTicks);
+  if (cfg.quietFor != null) quietForEl.value = String(clampToRange(quietForEl, cfg.quietFor) ?? 0);
+  if (cfg.cycleWindow != null) cycleWindowEl.value = String(clampToRange(cycleWindowEl, cfg.cycleWindow) ?? 0);
+  updateEndNote();
+  if (ARENAS.includes(cfg.arena)) arenaEl.value = cfg.arena;
+  if (Array.isArray(cfg.obstacles)) setObstacles(cfg.obstacles.filter(validObstacle));
+  updateArenaNote();
+  if (cfg.counts) {
+    TypeIds.forEach((id, i) => {
+      const v = Array.isArray(cfg.counts) ? cfg.counts[i] : cfg.counts[id];
+      if (v == null) return;
+      typeInputEls[i].value = String(v); clampInput(typeInputEls[i]);
+      storage.setItem(`rps_count_${id}`, typeInputEls[i].value);
+    });
+  }
+  saveCommon();
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return NaN;
+  const pos = (sorted.length - 1) * q, lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/* ================================ Physics ============================== */
+const physicsNoteEl = document.getElementById('physicsNote');
+const typeSpeedEls = [];
+const typeRadiusEls = [];
+
+/** Per-type overrides stored by type id: { speed: { [id]: x }, radius: { [id]: px } }. */
+function storedTypePhysics() {
+  try { return { speed: {}, radius: {}, ...JSON.parse(storage.getItem('rps_typephys')) }; } catch { return { speed: {}, radius: {} }; }
+}
+
+function buildTypePhysicsUI() {
+  const stored = storedTypePhysics();
+  typePhysicsEl.innerHTML = '<div class="phys-row head"><span>Type</span><span>Speed ×</span><span>Radius</span></div>';
+  typeSpeedEls.length = 0; typeRadiusEls.length = 0;
+  TypeRegistry.forEach((t, i) => {
+    const row = document.createElement('div'); row.className = 'phys-row';
+    const name = document.createElement('span'); name.textContent = t.label;
+    const sp = Object.assign(document.createElement('input'), { type: 'number', min: '0.25', max: '4', step: '0.05', value: String(stored.speed[t.id] ?? 1) });
+    const rad = Object.assign(document.createElement('input'), { type: 'number', min: '4', max: '40', step: '1', placeholder: 'size', value: String(stored.radius[t.id] ?? '') });
+    sp.setAttribute('aria-label', `${t.label} speed multiplier`); rad.setAttribute('aria-label', `${t.label} radius (blank = Entity Size)`);
+    row.append(name, sp, rad); typePhysicsEl.appendChild(row);
+    typeSpeedEls[i] = sp; typeRadiusEls[i] = rad;
+    sp.addEventListener('change', () => { sp.value = String(clampTypeSpeed(sp.value) ?? 1); saveTypePhysics(); recordChange({ typeSpeed: physicsFromControls().typeSpeed }); });
+    rad.addEventListener('change', () => {
+      rad.value = String(clampTypeRadius(rad.value) ?? '');
+      saveTypePhysics();
+      if (!running) reset(); else recordChange({ typeRadius: physicsFromControls().typeRadius });
+    });
+  });
+}
+
+// Both return null for blanks and non-numbers
+function clampTypeSpeed(raw) { const v = String(raw ?? '').trim() === '' ? NaN : Number(raw); return Number.isFinite(v) ? Math.max(0.25, Math.min(4, v)) : null; }
+function clampTypeRadius(raw) { const v = String(raw ?? '').trim() === '' ? NaN : Math.round(Number(raw)); return Number.isFinite(v) ? Math.max(4, Math.min(40, v)) : null; }
+
+function saveTypePhysics() {
+  const stored = storedTypePhysics();
+  TypeIds.forEach((id, i) => {
+    stored.speed[id] = clampTypeSpeed(typeSpeedEls[i].value) ?? 1;
+    const r = clampTypeRadius(typeRadiusEls[i].value);
+    if (r == null) delete stored.radius[id]; else stored.radius[id] = r;
+  });
+  storage.setItem('rps_typephys', JSON.stringify(stored));
+}
+
+/** Writes per-type overrides into the rows; types missing from the maps go back to the defaults. */
+function applyTypePhysics(speed = {}, radius = {}) {
+  TypeIds.forEach((id, i) => {
+    typeSpeedEls[i].value = String(clampTypeSpeed(speed[id]) ?? 1);
+    typeRadiusEls[i].value = String(clampTypeRadius(radius[id]) ?? '');
+  });
+  saveTypePhysics();
+}
+
+/** Physics part of the World config; per-type maps only list the types that differ from the defaults. */
+function physicsFromControls() {
+  const typeSpeed = {}, typeRadius = {};
+  TypeIds.forEach((id, i) => {
+    const sp = clampTypeSpeed(typeSpeedEls[i].value) ?? 1, r = clampTypeRadius(typeRadiusEls[i].value);
+    if (sp !== 1) typeSpeed[id] = sp;
+    if (r != null) typeRadius[id] = r;
+  });
+  return {
+    restitution: Number(restitutionEl.value), drag: Number(dragEl.value), vmax: Number(vmaxEl.value),
+    jitter: Number(jitterEl.value), massRule: massRuleEl.value, typeSpeed, typeRadius,
+  };
+}
+
+function updatePhysicsNote() {
+  const p = physicsFromControls();
+  physicsNoteEl.textContent = `restitution ${p.restitution.toFixed(2)} • drag ${p.drag.toFixed(2)}/s • max ${p.vmax} px/s • jitter ${p.jitter}`;
+}
+
+[[restitutionEl, 'restitution'], [dragEl, 'drag'], [vmaxEl, 'vmax'], [jitterEl, 'jitter']].forEach(([el, key]) => {
+  el.addEventListener('input', () => { recordChange({ [key]: Number(el.value) }); updatePhysicsNote(); });
+});
+massRuleEl.addEventListener('change', () => recordChange({ massRule: massRuleEl.value }));
+
+/* ============================= Conversions ============================= */
+const conversionNoteEl = document.getElementById('conversionNote');
+const edgeOddsEls = new Map(); // 'winner>loser' → input
+
+function storedOdds() {
+  try { return { ...JSON.parse(storage.getItem('rps_odds')) }; } catch { return {}; }
+}
+
+/** One odds input per beats edge of the active ruleset. */
+function buildEdgeOddsUI() {
+  const stored = storedOdds();
+  edgeOddsEl.innerHTML = '<div class="phys-row odds head"><span>Edge</span><span>Odds</span></div>';
+  edgeOddsEls.clear();
+  TypeRegistry.forEach(t => t.beats.forEach(target => {
+    const key = `${t.id}>${target}`;
+    const loser = TypeRegistry.find(x => x.id === target);
+    const row = document.createElement('div'); row.className = 'phys-row odds';
+    const name = document.createElement('span'); name.textContent = `${t.label} → ${loser ? loser.label : target}`;
+    const input = Object.assign(document.createElement('input'), { type: 'number', min: '0', max: '1', step: '0.05', value: String(clampOdds(stored[key]) ?? 1) });
+    input.setAttribute('aria-label', `Chance that ${name.textContent} lands`);
+    row.append(name, input); edgeOddsEl.appendChild(row);
+    edgeOddsEls.set(key, input);
+    input.addEventListener('change', () => {
+      input.value = String(clampOdds(input.value) ?? 1);
+      saveEdgeOdds(); recordChange({ odds: conversionFromControls().odds }); updateConversionNote();
+    });
+  }));
+}
+
+// Both return null for blanks and non-numbers
+function clampOdds(raw) { const v = String(raw ?? '').trim() === '' ? NaN : Number(raw); return Number.isFinite(v) ? Math.max(0, Math.min(1, v)) : null; }
+function clampHits(raw) { const v = parseInt(raw, 10); return Number.isFinite(v) ? Math.max(1, Math.min(MAX_HITS, v)) : null; }
+
+function saveEdgeOdds() {
+  const stored = storedOdds();
+  edgeOddsEls.forEach((input, key) => { stored[key] = clampOdds(input.value) ?? 1; });
+  storage.setItem('rps_odds', JSON.stringify(stored));
+}
+
+/** Writes edge odds into the inputs; edges missing from `odds` go back to 1. */
+function applyEdgeOdds(odds = {}) {
+  edgeOddsEls.forEach((input, key) => { input.value = String(clampOdds(odds[key]) ?? 1); });
+  saveEdgeOdds();
+}
+
+/** Conversion part of the World config; `odds` only lists edges below 1. */
+function conversionFromControls() {
+  const odds = {};
+  edgeOddsEls.forEach((input, key) => { const p = clampOdds(input.value) ?? 1; if (p !== 1) odds[key] = p; });
+  return { odds, hits: clampHits(hitsEl.value) ?? 1, immunity: Number(immunityEl.value), onDefeat: onDefeatEl.value };
+}
+
+function updateConversionNote() {
+  const c = conversionFromControls();
+  const odds = Object.keys(c.odds).length;
+  conversionNoteEl.textContent = `${c.onDefeat === 'remove' ? 'losers removed' : 'losers convert'} • ${c.hits} hit${c.hits === 1 ? '' : 's'} • immunity ${c.immunity}s • ${odds ? `${odds} edge${odds === 1 ? '' : 's'} below 1` : 'all edges certain'}`;
+}
+
+onDefeatEl.addEventListener('change', () => { recordChange({ onDefeat: onDefeatEl.value }); updateConversionNote(); });
+hitsEl.addEventListener('change', () => { hitsEl.value = String(clampHits(hitsEl.value) ?? 1); recordChange({ hits: Number(hitsEl.value) }); updateConversionNote(); });
+immunityEl.addEventListener('input', () => { recordChange({ immunity: Number(immunityEl.value) }); updateConversionNote(); });
+
+/* ============================== Steering =============================== */
+const steeringEl = document.getElementById('steering');
+const typeSteerEl = document.getElementById('typeSteer');
+const steerNoteEl = document.getElementById('steerNote');
+// [field, column heading, min, max, step]
+const STEER_FIELDS = [['sense', 'Sense px', 0, 400, 10], ['force', 'Force', 0, 2000, 10], ['turn', 'Turn rad/s', 0, 20, 0.5]];
+const typeSteerEls = []; // per type: { sense, force, turn } inputs
+
+function storedTypeSteer() {
+  try { return { ...JSON.parse(storage.getItem('rps_typesteer')) }; } catch { return {}; }
+}
+
+function buildTypeSteerUI() {
+  const stored = storedTypeSteer();
+  typeSteerEl.innerHTML = `<div class="phys-row steer head"><span>Type</span>${STEER_FIELDS.map(f => `<span>${f[1]}</span>`).join('')}</div>`;
+  typeSteerEls.length = 0;
+  TypeRegistry.forEach((t, i) => {
+    const row = document.createElement('div'); row.className = 'phys-row steer';
+    const name = document.createElement('span'); name.textContent = t.label;
+    row.appendChild(name);
+    typeSteerEls[i] = {};
+    STEER_FIELDS.forEach(([field, heading, min, max, step]) => {
+      const v = clampSteer(field, stored[t.id]?.[field]) ?? STEER_DEFAULTS[field];
+      const input = Object.assign(document.createElement('input'), { type: 'number', min: String(min), max: String(max), step: String(step), value: String(v) });
+      input.setAttribute('aria-label', `${t.label} ${heading}`);
+      input.addEventListener('change', () => {
+        input.value = String(clampSteer(field, input.value) ?? STEER_DEFAULTS[field]);
+        saveTypeSteer(); recordChange({ typeSteer: steeringFromControls().typeSteer }); updateSteerNote();
+      });
+      row.appendChild(input); typeSteerEls[i][field] = input;
+    });
+    typeSteerEl.appendChild(row);
+  });
+}
+
+/** Clamps one steering field to its input range; null for blanks and non-numbers. */
+function clampSteer(field, raw) {
+  const [, , min, max] = STEER_FIELDS.find(f => f[0] === field);
+  const v = String(raw ?? '').trim() === '' ? NaN : Number(raw);
+  return Number.isFinite(v) ? Math.max(min, Math.min(max, v)) : null;
+}
+
+// Other rulesets' types keep their stored values
+function saveTypeSteer() {
+  const stored = storedTypeSteer();
+  TypeIds.forEach(id => { delete stored[id]; });
+  storage.setItem('rps_typesteer', JSON.stringify({ ...stored, ...steeringFromControls().typeSteer }));
+}
+
+/** Writes per-type steering into the rows; types and fields missing from `map` go back to STEER_DEFAULTS. */
+function applyTypeSteer(map = {}) {
+  TypeIds.forEach((id, i) => STEER_FIELDS.forEach(([field]) => {
+    typeSteerEls[i][field].value = String(clampSteer(field, map[id]?.[field]) ?? STEER_DEFAULTS[field]);
+  }));
+  saveTypeSteer();
+}
+
+/** Steering part of the World config; `typeSteer` only lists fields that differ from STEER_DEFAULTS. */
+function steeringFromControls() {
+  const typeSteer = {};
+  TypeIds.forEach((id, i) => STEER_FIELDS.forEach(([field]) => {
+    const v = clampSteer(field, typeSteerEls[i][field].value) ?? STEER_DEFAULTS[field];
+    if (v !== STEER_DEFAULTS[field]) (typeSteer[id] = typeSteer[id] || {})[field] = v;
+  }));
+  return { steering: steeringEl.checked, typeSteer };
+}
+
+function updateSteerNote() {
+  const { steering, typeSteer } = steeringFromControls();
+  const custom = Object.keys(typeSteer).length;
+  steerNoteEl.textContent = !steering ? 'Off — entities move ballistically'
+    : `On • defaults: sense ${STEER_DEFAULTS.sense}px, force ${STEER_DEFAULTS.force}px/s², turn ${STEER_DEFAULTS.turn}rad/s` + (custom ? ` • ${custom} type${custom === 1 ? '' : 's'} customised` : '');
+}
+
+steeringEl.checked = storage.getItem('rps_steering') === '1';
+steeringEl.addEventListener('change', () => {
+  storage.setItem('rps_steering', steeringEl.checked ? '1' : '0');
+  recordChange({ steering: steeringEl.checked }); updateSteerNote();
+});
+
+/* ============================ End conditions =========================== */
+const timeLimitEl = document.getElementById('timeLimit');
+const timeLimitUnitEl = document.getElementById('timeLimitUnit');
+const quietForEl = document.getElementById('quietFor');
+const cycleWindowEl = document.getElementById('cycleWindow');
+const endNoteEl = document.getElementById('endNote');
+const resultNoteEl = document.getElementById('resultNote');
+const MIN_CYCLE_WINDOW = 10; // seconds; shorter windows hold too few samples to judge
+
+/** Shows a tick limit in seconds when it is a whole number of them, otherwise in ticks. */
+function setTimeLimit(maxTicks) {
+  const ticks = Math.max(0, Math.round(Number(maxTicks) || 0));
+  const secs = ticks * FIXED_DT;
+  const whole = Math.abs(secs - Math.round(secs)) < 1e-9;
+  timeLimitUnitEl.value = whole ? 's' : 'ticks';
+  timeLimitEl.value = String(clampToRange(timeLimitEl, whole ? Math.round(secs) : ticks) ?? 0);
+}
+
+/** End-condition part of the World config. */
+function endFromControls() {
+  const limit = clampToRange(timeLimitEl, timeLimitEl.value) ?? 0;
+  const win = clampToRange(cycleWindowEl, cycleWindowEl.value) ?? 0;
+  return {
+    maxTicks: Math.round(timeLimitUnitEl.value === 's' ? limit / FIXED_DT : limit),
+    quietFor: clampToRange(quietForEl, quietForEl.value) ?? 0,
+    cycleWindow: win > 0 ? Math.max(MIN_CYCLE_WINDOW, win) : 0,
+  };
+}
+
+function updateEndNote() {
+  const { maxTicks, quietFor, cycleWindow } = endFromControls();
+  const parts = [];
+  if (maxTicks) parts.push(`limit ${fmtTime(maxTicks)}`);
+  if (quietFor) parts.push(`stalemate after ${quietFor}s without conversions`);
+  if (cycleWindow) parts.push(`cycle/stalemate check over the last ${cycleWindow}s`);
+  endNoteEl.textContent = parts.length ? parts.join(' • ') : 'Runs until one type wins or no matchup is left';
+}
+
+/** Structured end-of-run summary under the stats line; null hides it. */
+function showResult(res) {
+  resultNoteEl.hidden = !res;
+  if (!res) { resultNoteEl.textContent = ''; return; }
+  const counts = Object.entries(res.counts).map(([id, n]) => `${capFirst(id)} ${n}`).join(' • ');
+  const label = res.winner ? `${capFirst(res.winner)} wins` : OUTCOME_LABELS[res.outcome] + (res.period ? ` (period ${res.period.toFixed(1)}s)` : '');
+  resultNoteEl.textContent = `Result: ${label} at ${fmtTime(res.tick)} — ${counts}`;
+}
+
+function onEndChange(el) {
+  const v = clampToRange(el, el.value) ?? 0;
+  el.value = String(el === cycleWindowEl && v > 0 ? Math.max(MIN_CYCLE_WINDOW, v) : v);
+  saveCommon(); recordChange(endFromControls()); updateEndNote();
+}
+[timeLimitEl, quietForEl, cycleWindowEl].forEach(el => el.addEventListener('change', () => onEndChange(el)));
+timeLimitUnitEl.addEventListener('change', () => onEndChange(timeLimitEl));
+
+/* ============================= Spawn layout ============================ */
+const maskRow = document.getElementById('maskRow');
+const loadMaskBtn = document.getElementById('loadMaskBtn');
+const maskFile = document.getElementById('maskFile');
+const spawnNoteEl = document.getElementById('spawnNote');
+const MASK_W = 32, MASK_H = 24;
+
+// Density mask for the 'mask' layout: { w, h, data } with one hex digit per cell (see RPSCore.parseMask)
+let spawnMask = null;
+
+function setSpawnMask(mask) {
+  spawnMask = mask;
+  storage.setItem('rps_mask', JSON.stringify(mask));
+}
+
+function loadSpawnMask() {
+  try { const m = JSON.parse(storage.getItem('rps_mask')); if (parseMask(m)) spawnMask = m; }
+  catch { storage.removeItem('rps_mask'); }
+}
+
+/** Downsamples an image to a MASK_W×MASK_H brightness mask (transparent counts as dark). */
+async function maskFromImage(file) {
+  const bmp = await createImageBitmap(file);
+  const c = document.createElement('canvas'); c.width = MASK_W; c.height = MASK_H;
+  const g = c.getContext('2d');
+  g.drawImage(bmp, 0, 0, MASK_W, MASK_H);
+  const px = g.getImageData(0, 0, MASK_W, MASK_H).data;
+  let data = '';
+  for (let i = 0; i < px.length; i += 4) {
+    const lum = (0.2126 * px[i] + 0.7152 * px[i + 1] + 0.0722 * px[i + 2]) * (px[i + 3] / 255);
+    data += Math.round(lum / 255 * 15).toString(16);
+  }
+  return { w: MASK_W, h: MASK_H, data };
+}
+
+function updateSpawnNote() {
+  maskRow.hidden = layoutEl.value !== 'mask';
+  if (!world) return;
+  const notes = [];
+  if (layoutEl.value === 'mask' && !parseMask(spawnMask)) notes.push('no mask loaded, using the whole arena');
+  if (world.config.spawnMode !== spawnModeEl.value || world.config.layout !== layoutEl.value) notes.push('changes apply on Reset');
+  notes.unshift(world.overlapped ? `${world.overlapped} of ${world.entities.length} placed overlapping (no free spot)` : 'All entities placed without overlap');
+  spawnNoteEl.textContent = notes.join(' • ');
+}
+
+[spawnModeEl, layoutEl].forEach(el => el.addEventListener('change', updateSpawnNote));
+loadMaskBtn.addEventListener('click', () => maskFile.click());
+maskFile.addEventListener('change', async () => {
+  const file = maskFile.files[0]; maskFile.value = '';
+  if (!file) return;
+  try {
+    const mask = await maskFromImage(file);
+    if (!parseMask(mask)) { toast('Mask is completely dark; pick a brighter image'); return; }
+    setSpawnMask(mask); toast('Mask loaded; press Reset to respawn'); updateSpawnNote();
+  } catch { toast('Could not read that image'); }
+});
+
+/* ============================= Canvas tools ============================ */
+const toolEl = document.getElementById('tool');
+const brushTypeEl = document.getElementById('brushType');
+const brushSizeEl = document.getElementById('brushSize');
+const inspectNoteEl = document.getElementById('inspectNote');
+const layoutNameEl = document.getElementById('layoutName');
+const layoutSelectEl = document.getElementById('layoutSelect');
+const saveLayoutBtn = document.getElementById('saveLayoutBtn');
+const loadLayoutBtn = document.getElementById('loadLayoutBtn');
+const deleteLayoutBtn = document.getElementById('deleteLayoutBtn');
+const { MAX_TOTAL_ENTITIES, VMAX } = RPSCore;
+const TOOL_CURSORS = { inspect: 'pointer', paint: 'crosshair', erase: 'crosshair', drag: 'grab', wall: 'crosshair', circle: 'crosshair', poly: 'crosshair', unblock: 'pointer' };
+const TOOL_HINTS = {
+  wall: 'Drag to draw a wall', circle: 'Drag from the centre to draw a circle',
+  poly: 'Click to add corners; click the first corner (or press Enter) to close, Esc to cancel', unblock: 'Click an obstacle to remove it',
+};
+
+let inspectId = null;
+let stroke = null; // { tool, x, y } for paint/erase, plus { id, trail } for drag
+
+function fillBrushTypes() {
+  const prev = brushTypeEl.value;
+  brushTypeEl.innerHTML = '';
+  TypeRegistry.forEach((t, i) => brushTypeEl.appendChild(new Option(t.label, String(i))));
+  if (prev && Number(prev) < TypeRegistry.length) brushTypeEl.value = prev;
+}
+
+/** Pointer position in world coordinates. */
+function canvasPoint(ev) {
+  const rect = canvas.getBoundingClientRect();
+  return { x: (ev.clientX - rect.left - view.x) / view.scale, y: (ev.clientY - rect.top - view.y) / view.scale };
+}
+
+function clampToArena(x, y, r) {
+  const { width: W, height: H } = world.config;
+  return [Math.min(Math.max(x, r), W - r), Math.min(Math.max(y, r), H - r)];
+}
+
+function entityAt(x, y) {
+  let best = null, bestD = Infinity;
+  for (const e of world.entities) {
+    const d = Math.hypot(e.x - x, e.y - y);
+    if (d <= e.r + 4 && d < bestD) { best = e; bestD = d; }
+  }
+  return best;
+}
+
+// Velocities use Math.random rather than the world RNG: the edit event carries them,
+// and the seeded stream stays exactly as a replay will see it.
+function paintAt(x, y) {
+  if (world.entities.length >= MAX_TOTAL_ENTITIES) { toast(`Global max of ${MAX_TOTAL_ENTITIES} entities reached`); stroke = null; return; }
+  const type = Number(brushTypeEl.value), r = world.radiusOf(type), reach = Number(brushSizeEl.value) / 2;
+  for (let i = 0; i < 8; i++) {
+    const a = Math.random() * Math.PI * 2, d = Math.sqrt(Math.random()) * reach;
+    const [px, py] = clampToArena(x + Math.cos(a) * d, y + Math.sin(a) * d, r);
+    if (world.overlapsAny(px, py, r) || world.blocked(px, py, r)) continue;
+    const va = Math.random() * Math.PI * 2, mag = (0.8 + Math.random() * 1.2) * 60;
+    recordEvent({ type: 'edit', add: [[world.nextId, type, px, py, r, Math.cos(va) * mag, Math.sin(va) * mag]] });
+    return;
+  }
+}
+
+function eraseAt(x, y) {
+  const reach = Number(brushSizeEl.value) / 2;
+  const ids = world.entities.filter(e => Math.hypot(e.x - x, e.y - y) <= reach + e.r).map(e => e._id);
+  if (ids.length) recordEvent({ type: 'edit', remove: ids });
+}
+
+/** Records a drag position; repeated moves of the same entity within one tick collapse into one event. */
+function recordMove(m) {
+  const last = recording && recording.events[recording.events.length - 1];
+  if (last && last.tick === world.tick && last.type === 'edit' && !last.add && !last.remove && last.move.length === 1 && last.move[0].id === m.id) {
+    last.move[0] = m; world.applyEdit({ move: [m] });
+  } else recordEvent({ type: 'edit', move: [m] });
+}
+
+/** Fling velocity from the last ~100 ms of pointer movement, in sim px/s (speed-adjusted, clamped to VMAX). */
+function flingVelocity(trail) {
+  const last = trail[trail.length - 1];
+  const first = trail.find(p => last.t - p.t <= 100) || last;
+  const dt = (last.t - first.t) / 1000;
+  if (dt <= 0) return { vx: 0, vy: 0 };
+  let vx = (last.x - first.x) / dt / world.config.speed, vy = (last.y - first.y) / dt / world.config.speed;
+  const mag = Math.hypot(vx, vy);
+  if (mag > VMAX) { vx *= VMAX / mag; vy *= VMAX / mag; }
+  return { vx, vy };
+}
+
+function applyStroke(x, y) {
+  if (stroke.tool === 'paint') {
+    if (stroke.x != null && Math.hypot(x - stroke.x, y - stroke.y) < world.config.radius) return;
+    paintAt(x, y);
+  } else if (stroke.tool === 'erase') eraseAt(x, y);
+  else if (stroke.tool === 'drag') {
+    const e = world.entities.find(en => en._id === stroke.id);
+    if (!e) { stroke = null; return; }
+    const [px, py] = clampToArena(x, y, e.r);
+    stroke.trail.push({ x: px, y: py, t: performance.now() });
+    recordMove({ id: e._id, x: px, y: py, vx: 0, vy: 0 });
+  }
+  if (stroke) { stroke.x = x; stroke.y = y; }
+  if (!running) { render(); updateStatsAndCharts(); }
+}
+
+canvas.addEventListener('pointerdown', (ev) => {
+  if (!world || ev.button !== 0) return;
+  const { x, y } = canvasPoint(ev);
+  const tool = toolEl.value;
+  if (tool === 'inspect' || (tool === 'drag' && replay)) {
+    const e = entityAt(x, y); inspectId = e ? e._id : null;
+    updateInspector(); if (!running) render();
+    return;
+  }
+  if (replay) { toast('Exit the replay to edit'); return; }
+  if (OBSTACLE_TOOLS.includes(tool)) { obstaclePointerDown(tool, x, y, ev); return; }
+  if (tool === 'drag') {
+    const e = entityAt(x, y);
+    if (!e) return;
+    inspectId = e._id;
+    stroke = { tool, id: e._id, trail: [] };
+    canvas.style.cursor = 'grabbing';
+  } else stroke = { tool };
+  canvas.setPointerCapture(ev.pointerId);
+  applyStroke(x, y);
+});
+canvas.addEventListener('pointermove', (ev) => {
+  if (draft) { obstaclePointerMove(canvasPoint(ev)); return; }
+  if (!stroke || !world) return;
+  const { x, y } = canvasPoint(ev);
+  applyStroke(x, y);
+});
+function endStroke() {
+  if (draft && draft.kind !== 'poly') { finishDraft(); return; }
+  if (!stroke) return;
+  if (stroke.tool === 'drag' && stroke.trail.length) {
+    const last = stroke.trail[stroke.trail.length - 1];
+    recordMove({ id: stroke.id, x: last.x, y: last.y, ...flingVelocity(stroke.trail) });
+    if (!running) { render(); updateInspector(); }
+  }
+  stroke = null;
+  syncToolCursor();
+}
+canvas.addEventListener('pointerup', endStroke);
+canvas.addEventListener('pointercancel', endStroke);
+function syncToolCursor() {
+  canvas.style.cursor = TOOL_CURSORS[toolEl.value];
+  canvas.style.touchAction = toolEl.value === 'inspect' ? '' : 'none'; // painting shouldn't scroll the page
+}
+toolEl.addEventListener('change', () => { syncToolCursor(); cancelDraft(); updateInspector(); });
+
+function updateInspector() {
+  if (inspectId == null || !world) { inspectNoteEl.textContent = TOOL_HINTS[toolEl.value] || 'Click an entity to inspect it'; return; }
+  const e = world.entities.find(en => en._id === inspectId);
+  if (!e) { inspectNoteEl.textContent = `#${inspectId} is gone`; return; }
+  const speed = Math.hypot(e.vx, e.vy);
+  const { hits } = world.config;
+  const last = e.flips ? world.log.historyOf(e._id).filter(c => c.loser === e._id).pop() : null;
+  inspectNoteEl.textContent = `#${e._id} ${TypeRegistry[e.t].label} • v (${e.vx.toFixed(0)}, ${e.vy.toFixed(0)}) ${speed.toFixed(0)} px/s • defeated ${e.wins} • was converted ${e.flips}×` +
+    (last ? ` (last by #${last.winner} at ${fmtTime(last.tick)})` : '') +
+    (hits > 1 ? ` • hits ${e.damage}/${hits}` : '') + (e.immuneUntil > world.time ? ` • immune ${(e.immuneUntil - world.time).toFixed(1)}s` : '');
+}
+
+function drawInspectRing() {
+  if (inspectId == null) return;
+  const e = world.entities.find(en => en._id === inspectId);
+  if (!e) return;
+  ctx.save();
+  ctx.strokeStyle = getTheme().text; ctx.lineWidth = 2; ctx.setLineDash([4, 3]);
+  ctx.beginPath(); ctx.arc(e.x, e.y, e.r + 5, 0, Math.PI * 2); ctx.stroke();
+  if (world.config.steering) { // sense radius
+    ctx.globalAlpha = 0.35; ctx.setLineDash([2, 4]);
+    ctx.beginPath(); ctx.arc(e.x, e.y, world.steerOf(e.t).sense, 0, Math.PI * 2); ctx.stroke();
+  }
+  ctx.restore();
+}
+
+/* ============================== Obstacles ============================== */
+// User-drawn solids in canvas px (see RPSCore.validObstacle); arena presets add their own walls inside the core.
+const arenaNoteEl = document.getElementById('arenaNote');
+const clearObstaclesBtn = document.getElementById('clearObstaclesBtn');
+const OBSTACLE_TOOLS = ['wall', 'circle', 'poly', 'unblock'];
+const WALL_WIDTH = 12;
+const CLOSE_RADIUS = 10; // clicking this close to the first corner closes a polygon
+
+let obstacles = loadObstacles();
+let draft = null; // { kind: 'wall' | 'circle', x0, y0, x, y } or { kind: 'poly', pts, x, y }
+
+function loadObstacles() {
+  try { const list = JSON.parse(storage.getItem('rps_obstacles')); return Array.isArray(list) ? list.filter(validObstacle) : []; } catch { return []; }
+}
+
+function setObstacles(list) {
+  obstacles = list;
+  storage.setItem('rps_obstacles', JSON.stringify(list));
+  updateArenaNote();
+}
+
+/** Stores the list and records it as a config change, so replays rebuild the same walls at the same tick. */
+function commitObstacles(list) {
+  setObstacles(list);
+  recordChange({ obstacles: JSON.parse(JSON.stringify(list)) });
+  if (!running) render();
+}
+
+const round1 = v => Math.round(v * 10) / 10;
+
+function obstaclePointerDown(tool, x, y, ev) {
+  if (tool === 'unblock') {
+    const hit = obstacles.map((o, i) => i).reverse().find(i => RPSCore.solidDepth(x, y, 0, obstacles[i]) > 0);
+    if (hit != null) commitObstacles(obstacles.filter((o, i) => i !== hit));
+    return;
+  }
+  if (tool === 'poly') {
+    if (!draft) draft = { kind: 'poly', pts: [round1(x), round1(y)], x, y };
+    else if (draft.pts.length >= 6 && Math.hypot(x - draft.pts[0], y - draft.pts[1]) <= CLOSE_RADIUS) finishDraft();
+    else draft.pts.push(round1(x), round1(y));
+  } else {
+    draft = { kind: tool, x0: round1(x), y0: round1(y), x, y };
+    canvas.setPointerCapture(ev.pointerId);
+  }
+  if (!running) render();
+}
+
+function obstaclePointerMove({ x, y }) {
+  draft.x = x; draft.y = y;
+  if (!running) render();
+}
+
+/** The obstacle the current draft would become, or null while it is too small. */
+function draftObstacle() {
+  const d = draft;
+  if (d.kind === 'wall') return Math.hypot(d.x - d.x0, d.y - d.y0) < 4 ? null : { kind: 'wall', x1: d.x0, y1: d.y0, x2: round1(d.x), y2: round1(d.y), w: WALL_WIDTH };
+  if (d.kind === 'circle') { const r = round1(Math.hypot(d.x - d.x0, d.y - d.y0)); return r < 4 ? null : { kind: 'circle', x: d.x0, y: d.y0, r }; }
+  return d.pts.length >= 6 ? { kind: 'poly', pts: d.pts.slice() } : null;
+}
+
+function finishDraft() {
+  const o = draftObstacle();
+  draft = null;
+  if (o) commitObstacles([...obstacles, o]); else if (!running) render();
+}
+
+function cancelDraft() {
+  if (!draft) return;
+  draft = null;
+  if (!running) render();
+}
+
+document.addEventListener('keydown', (ev) => {
+  if (!draft || draft.kind !== 'poly') return;
+  if (ev.key === 'Enter') { ev.preventDefault(); finishDraft(); } else if (ev.key === 'Escape') cancelDraft();
+});
+
+function solidPath(o, c = ctx) {
+  if (o.kind === 'circle') { c.moveTo(o.x + o.r, o.y); c.arc(o.x, o.y, o.r, 0, Math.PI * 2); return; }
+  for (let i = 0; i < o.pts.length; i += 2) { if (i) c.lineTo(o.pts[i], o.pts[i + 1]); else c.moveTo(o.pts[i], o.pts[i + 1]); }
+  c.closePath();
+}
+
+/** Arena walls and obstacles of world `w`, under the entities. */
+function drawSolids(c = ctx, w = world) {
+  if (!w.solids.length) return;
+  const { width: W, height: H } = w.config;
+  c.save();
+  c.fillStyle = c.strokeStyle = getTheme().solid; c.lineCap = 'round';
+  for (const o of w.solids) {
+    c.beginPath();
+    if (o.kind === 'wall') { c.lineWidth = o.w; c.moveTo(o.x1, o.y1); c.lineTo(o.x2, o.y2); c.stroke(); continue; }
+    if (o.kind === 'rim') { c.rect(0, 0, W, H); c.moveTo(o.x + o.r, o.y); c.arc(o.x, o.y, o.r, 0, Math.PI * 2); c.fill('evenodd'); continue; }
+    solidPath(o, c); c.fill();
+  }
+  c.restore();
+}
+
+function drawObstacleDraft() {
+  if (!draft) return;
+  ctx.save();
+  ctx.strokeStyle = getTheme().accent; ctx.lineWidth = 2; ctx.setLineDash([5, 4]);
+  ctx.beginPath();
+  if (draft.kind === 'poly') {
+    solidPath({ pts: [...draft.pts, draft.x, draft.y] });
+    ctx.stroke();
+    ctx.setLineDash([]); ctx.beginPath(); ctx.arc(draft.pts[0], draft.pts[1], CLOSE_RADIUS, 0, Math.PI * 2); ctx.stroke();
+  } else {
+    const o = draftObstacle();
+    if (o && o.kind === 'wall') { ctx.lineWidth = o.w; ctx.globalAlpha = 0.5; ctx.lineCap = 'round'; ctx.setLineDash([]); ctx.moveTo(o.x1, o.y1); ctx.lineTo(o.x2, o.y2); }
+    else if (o) solidPath(o);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+// Share-link form: 'c:x,y,r;w:x1,y1,x2,y2,w;p:x0,y0,x1,y1,…'
+const OBSTACLE_CODES = { circle: 'c', wall: 'w', poly: 'p' };
+function encodeObstacles(list) {
+  return list.map(o => `${OBSTACLE_CODES[o.kind]}:${(o.kind === 'circle' ? [o.x, o.y, o.r] : o.kind === 'wall' ? [o.x1, o.y1, o.x2, o.y2, o.w] : o.pts).map(round1).join(',')}`).join(';');
+}
+/** Inverse of encodeObstacles; entries that don't parse to a valid obstacle come back as null. */
+function decodeObstacles(text) {
+  return text.split(';').filter(Boolean).map(part => {
+    const [code, nums = ''] = part.split(':');
+    const v = nums.split(',').map(Number);
+    const o = code === 'c' ? { kind: 'circle', x: v[0], y: v[1], r: v[2] }
+      : code === 'w' ? { kind: 'wall', x1: v[0], y1: v[1], x2: v[2], y2: v[3], w: v[4] }
+        : code === 'p' ? { kind: 'poly', pts: v } : null;
+    return validObstacle(o) ? o : null;
+  });
+}
+
+function updateArenaNote() {
+  const noWrap = NO_WRAP_ARENAS.includes(arenaEl.value);
+  wallModeEl.querySelector('option[value="wrap"]').disabled = noWrap;
+  const n = obstacles.length;
+  arenaNoteEl.textContent = `${n ? n : 'No'} obstacle${n === 1 ? '' : 's'}` + (noWrap && wallModeEl.value === 'wrap' ? ' • this arena has walls, so edges bounce' : '');
+}
+
+arenaEl.addEventListener('change', () => { if (!running) reset(); else recordChange({ arena: arenaEl.value }); updateArenaNote(); render(); });
+clearObstaclesBtn.addEventListener('click', () => {
+  if (replay) { toast('Exit the replay to edit'); return; }
+  cancelDraft();
+  if (obstacles.length) commitObstacles([]);
+});
+
+/* Named layouts: a tick-0 snapshot of the arena, restored as the start of a new recording */
+function savedLayouts() {
+  try { return JSON.parse(storage.getItem('rps_layouts')) || {}; } catch { return {}; }
+}
+
+function fillLayoutSelect(selected) {
+  const layouts = savedLayouts();
+  layoutSelectEl.innerHTML = '';
+  Object.keys(layouts).sort().forEach(name => layoutSelectEl.appendChild(new Option(`${name} (${layouts[name].entities.length})`, name)));
+  if (selected && selected in layouts) layoutSelectEl.value = selected;
+  loadLayoutBtn.disabled = deleteLayoutBtn.disabled = !layoutSelectEl.options.length;
+}
+
+function startFromLayout(snap) {
+  if (replay) exitReplay();
+  pause();
+  accumulator = 0; lastTime = performance.now(); resetClock();
+  Object.values(historyByType).forEach(arr => arr.length = 0);
+  const start = { ...snap, tick: 0, time: 0 };
+  world = new World({ ...snap.config, counts: {} }).restore(start);
+  recording = { version: 1, config: JSON.parse(JSON.stringify(snap.config)), start, events: [], endTick: 0 };
+  applyConfigToControls(snap.config); setSeed(snap.seed);
+  startBtn.textContent = 'Start';
+  updateStatsAndCharts(); drawSparkline(); render();
+}
+
+saveLayoutBtn.addEventListener('click', () => {
+  const name = layoutNameEl.value.trim();
+  if (!name || !world) { toast('Name the layout first'); return; }
+  const layouts = savedLayouts();
+  layouts[name] = { ...world.snapshot(), tick: 0, time: 0 };
+  try { storage.setItem('rps_layouts', JSON.stringify(layouts)); }
+  catch { toast('Not enough storage for this layout'); return; }
+  fillLayoutSelect(name); toast(`Saved layout "${name}"`);
+});
+loadLayoutBtn.addEventListener('click', () => {
+  const name = layoutSelectEl.value, snap = savedLayouts()[name];
+  if (!snap) return;
+  if (snap.config.types.join() !== TypeIds.join()) { toast(`"${name}" needs the types ${snap.config.types.join(', ')}`); return; }
+  startFromLayout(snap);
+  toast(`Loaded "${name}" — Reset respawns from the counts`);
+});
+deleteLayoutBtn.addEventListener('click', () => {
+  const layouts = savedLayouts();
+  delete layouts[layoutSelectEl.value];
+  storage.setItem('rps_layouts', JSON.stringify(layouts));
+  fillLayoutSelect();
+});
+
+/* ================================ Batch ================================ */
+const batchRunsEl = document.getElementById('batchRuns');
+const batchMaxTimeEl = document.getElementById('batchMaxTime');
+const batchRunBtn = document.getElementById('batchRunBtn');
+const batchCancelBtn = document.getElementById('batchCancelBtn');
+const batchStatusEl = document.getElementById('batchStatus');
+const batchResultsEl = document.getElementById('batchResults');
+const batchWinsEl = document.getElementById('batchWins');
+const batchTimesEl = document.getElementById('batchTimes');
+const batchHist = document.getElementById('batchHist');
+const batchRunsTable = document.getElementById('batchRunsTable');
+
+const BATCH_SLICE_MS = 12; // headless work per macrotask, keeps the page responsive
+let batchJob = null;
+
+/** Seed for run `i` of a batch; the base is trimmed so the suffix survives MAX_SEED_LEN. */
+function deriveSeed(base, i) {
+  const suffix = `#${i + 1}`;
+  return base.slice(0, MAX_SEED_LEN - suffix.length) + suffix;
+}
+
+function startBatch() {
+  if (batchJob) return;
+  const runs = Math.max(1, Math.min(1000, parseInt(batchRunsEl.value, 10) || 1));
+  const maxTime = Math.max(10, Math.min(3600, Number(batchMaxTimeEl.value) || 600));
+  batchRunsEl.value = String(runs); batchMaxTimeEl.value = String(maxTime);
+  setSeed(seedInput.value);
+  batchJob = {
+    base: rngSeedStr, config: { ...configFromControls(), logEvery: 0 }, types: TypeIds.slice(),
+    runs, maxTicks: Math.round(maxTime / FIXED_DT), results: [], world: null, t0: performance.now(),
+  };
+  batchRunBtn.disabled = true; batchCancelBtn.disabled = false;
+  setTimeout(batchSlice, 0);
+}
+
+function batchSlice() {
+  const job = batchJob;
+  if (!job) return;
+  const until = performance.now() + BATCH_SLICE_MS;
+  while (job.results.length < job.runs && performance.now() < until) {
+    if (!job.world) job.world = new World({ ...job.config, seed: deriveSeed(job.base, job.results.length) });
+    const w = job.world;
+    for (let k = 0; k < 60 && !RPSCore.isMatchOver(w, job.maxTicks); k++) w.step(FIXED_DT);
+    if (RPSCore.isMatchOver(w, job.maxTicks)) {
+      job.results.push({ index: job.results.length, ...RPSCore.matchSummary(w) });
+      job.world = null;
+    }
+  }
+  batchStatusEl.textContent = `Running ${job.results.length}/${job.runs}…`;
+  if (job.results.length >= job.runs) finishBatch(false);
+  else setTimeout(batchSlice, 0);
+}
+
+function finishBatch(cancelled) {
+  const job = batchJob; batchJob = null;
+  batchRunBtn.disabled = false; batchCancelBtn.disabled = true;
+  if (!job) return;
+  const secs = ((performance.now() - job.t0) / 1000).toFixed(1);
+  batchStatusEl.textContent = `${cancelled ? 'Cancelled after' : 'Finished'} ${job.results.length} runs in ${secs}s (base seed ${job.base})`;
+  if (job.results.length) renderBatchResults(job);
+}
+
+const OUTCOME_LABELS = { win: 'Win', draw: 'Draw', extinct: 'Extinct', timeout: 'Timeout', stalemate: 'Stalemate', cycle: 'Cycle' };
+
+function renderBatchResults(job) {
+  const { results, types } = job;
+  const palette = getPalette();
+  batchResultsEl.hidden = false;
+
+  // Win frequency per type, plus every other outcome that occurred
+  const wins = new Map(types.map(id => [id, 0])); const other = Object.fromEntries(OUTCOMES.map(k => [k, 0]));
+  results.forEach(r => { if (r.winner) wins.set(r.winner, wins.get(r.winner) + 1); else other[r.outcome]++; });
+  const rows = [...wins].map(([id, n]) => [capFirst(id), n, palette[id]]);
+  OUTCOMES.forEach(k => { if (other[k]) rows.push([OUTCOME_LABELS[k], other[k], getTheme().muted]); });
+  batchWinsEl.innerHTML = '<thead><tr><th>Winner</th><th>Runs</th><th>Share</th></tr></thead>';
+  const wb = document.createElement('tbody');
+  rows.forEach(([name, n, color]) => {
+    const pct = n / results.length * 100;
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td></td><td>${n}</td><td><span class="bar"></span> ${pct.toFixed(1)}%</td>`;
+    tr.cells[0].textContent = name;
+    const bar = tr.querySelector('.bar'); bar.style.width = `${Math.max(1, pct * 0.8)}px`; bar.style.background = color;
+    wb.appendChild(tr);
+  });
+  batchWinsEl.appendChild(wb);
+
+  // Time-to-finish distribution over runs that ended by a win, draw or extinction
+  const finished = results.filter(r => ['win', 'draw', 'extinct'].includes(r.outcome));
+  const times = finished.map(r => r.time).sort((a, b) => a - b);
+  const byTime = finished.slice().sort((a, b) => a.time - b.time);
+  const shortest = byTime[0], longest = byTime[byTime.length - 1];
+  batchTimesEl.textContent = times.length
+    ? `Time to finish: min ${times[0].toFixed(1)}s • median ${quantile(times, 0.5).toFixed(1)}s • p90 ${quantile(times, 0.9).toFixed(1)}s • max ${times[times.length - 1].toFixed(1)}s`
+    : 'No run finished within the time limit.';
+  drawBatchHistogram(times);
+
+  batchRunsTable.innerHTML = '<thead><tr><th>#</th><th>Seed</th><th>Winner</th><th>Time</th></tr></thead>';
+  const tb = document.createElement('tbody');
+  results.forEach(r => {
+    const tr = document.createElement('tr');
+    const note = r === shortest ? ' (shortest)' : r === longest ? ' (longest)' : '';
+    [r.index + 1, r.seed, (r.winner ? capFirst(r.winner) : OUTCOME_LABELS[r.outcome]) + note, `${r.time.toFixed(1)}s`].forEach(v => {
+      const td = document.createElement('td'); td.textContent = String(v); tr.appendChild(td);
+    });
+    if (note) tr.className = 'mark';
+    tr.title = 'Load this seed into the viewer';
+    tr.addEventListener('click', () => loadBatchRun(job, r));
+    tb.appendChild(tr);
+  });
+  batchRunsTable.appendChild(tb);
+}
+
+function drawBatchHistogram(times) {
+  const rect = batchHist.getBoundingClientRect();
+  const W = rect.width, H = rect.height;
+  batchHist.width = Math.floor(W * DPR); batchHist.height = Math.floor(H * DPR);
+  const hctx = batchHist.getContext('2d');
+  hctx.setTransform(DPR, 0, 0, DPR, 0, 0);
+  hctx.clearRect(0, 0, W, H);
+  if (!times.length) return;
+  const bins = Math.min(20, Math.max(1, Math.ceil(Math.sqrt(times.length))));
+  const lo = times[0], span = (times[times.length - 1] - lo) || 1;
+  const hist = new Array(bins).fill(0);
+  times.forEach(t => { hist[Math.min(bins - 1, Math.floor((t - lo) / span * bins))]++; });
+  const peak = Math.max(...hist), bw = W / bins;
+  hctx.fillStyle = getTheme().accent;
+  hist.forEach((n, i) => { const h = (n / peak) * (H - 4); hctx.fillRect(i * bw + 1, H - h, bw - 2, h); });
+}
+
+function loadBatchRun(job, r) {
+  if (job.types.join() !== TypeIds.join()) toast('Ruleset changed since the batch; replay may differ');
+  applyConfigToControls({ ...job.config, seed: r.seed });
+  reset();
+  toast(`Loaded run #${r.index + 1} (${r.seed})`);
+}
+
+batchRunBtn.addEventListener('click', startBatch);
+batchCancelBtn.addEventListener('click', () => finishBatch(true));
+
+/* ================================ Replay =============================== */
+const replayNoteEl = document.getElementById('replayNote');
+const replayScrub = document.getElementById('replayScrub');
+const replayTickEl = document.getElementById('replayTick');
+const replayBtn = document.getElementById('replayBtn');
+const replayBackBtn = document.getElementById('replayBackBtn');
+const replayFwdBtn = document.getElementById('replayFwdBtn');
+const replayExitBtn = document.getElementById('replayExitBtn');
+const exportReplayBtn = document.getElementById('exportReplayBtn');
+const importReplayBtn = document.getElementById('importReplayBtn');
+const importReplayFile = document.getElementById('importReplayFile');
+
+// Controls that would change the run are locked while a recording plays back.
+const LIVE_ONLY_CONTROLS = [speedEl, sizeEl, wallModeEl, restitutionEl, dragEl, vmaxEl, jitterEl, massRuleEl, typePhysicsEl, onDefeatEl, hitsEl, immunityEl, edgeOddsEl, arenaEl, steeringEl, typeSteerEl];
+const REPLAY_INDEX_SLICE_MS = 12;
+
+function currentRecording() {
+  if (replay) return replay.recording;
+  return recording && { ...recording, endTick: world.tick };
+}
+
+function enterReplay(rec) {
+  pause();
+  trace = null;
+  if (!replay) liveWorld = world;
+  replay = new RPSCore.Replay(rec);
+  world = replay.world;
+  accumulator = 0;
+  LIVE_ONLY_CONTROLS.forEach(el => { el.disabled = true; });
+  replayScrub.max = String(rec.endTick); replayScrub.disabled = false;
+  [replayBackBtn, replayFwdBtn, replayExitBtn].forEach(b => { b.disabled = false; });
+  startBtn.textContent = 'Play';
+  indexReplay(replay);
+  seekReplay(0);
+}
+
+function exitReplay() {
+  pause();
+  replay = null; trace = null;
+  world = liveWorld || world; liveWorld = null;
+  LIVE_ONLY_CONTROLS.forEach(el => { el.disabled = false; });
+  replayScrub.disabled = true; replayScrub.value = '0';
+  [replayBackBtn, replayFwdBtn, replayExitBtn].forEach(b => { b.disabled = true; });
+  if (resizedInReplay) recordChange({ width: VIEW_W, height: VIEW_H });
+  resizedInReplay = false;
+  Object.values(historyByType).forEach(arr => arr.length = 0);
+  render(); updateStatsAndCharts(); drawSparkline();
+}
+
+function seekReplay(tick) {
+  if (!replay) return;
+  replay.seek(tick);
+  Object.values(historyByType).forEach(arr => arr.length = 0);
+  render(); updateStatsAndCharts(); drawSparkline();
+}
+
+/** Walks a second copy of the replay in the background so every keyframe exists before the user seeks. */
+function indexReplay(target) {
+  const indexer = new RPSCore.Replay(target.recording);
+  indexer.keyframes = target.keyframes;
+  const slice = () => {
+    if (replay !== target) return;
+    const until = performance.now() + REPLAY_INDEX_SLICE_MS;
+    while (indexer.tick < indexer.endTick && performance.now() < until) indexer.step();
+    target.indexedTo = indexer.tick;
+    updateReplayUI();
+    if (indexer.tick < indexer.endTick) setTimeout(slice, 0);
+  };
+  target.indexedTo = 0;
+  setTimeout(slice, 0);
+}
+
+function updateReplayUI() {
+  if (replay) {
+    const { tick, endTick } = replay;
+    replayScrub.value = String(tick);
+    replayTickEl.textContent = `Tick ${tick} / ${endTick} • ${(tick * FIXED_DT).toFixed(2)}s`;
+    const pct = endTick ? Math.floor(replay.indexedTo / endTick * 100) : 100;
+    replayNoteEl.textContent = `Playback: ${replay.events.length} control changes${pct < 100 ? ` • indexing ${pct}%` : ''}`;
+  } else {
+    const n = recording ? recording.events.length : 0;
+    replayTickEl.textContent = world ? `Tick ${world.tick} • ${(world.tick * FIXED_DT).toFixed(2)}s` : '—';
+    replayNoteEl.textContent = `Recording: ${n} control change${n === 1 ? '' : 's'}`;
+  }
+}
+
+/** Checks the shape of an imported recording; the World constructor validates the rest. */
+function parseRecording(raw) {
+  if (!raw || typeof raw.config !== 'object' || !Array.isArray(raw.events)) throw new Error('Not a recording');
+  const endTick = Math.floor(Number(raw.endTick));
+  if (!(endTick >= 0)) throw new Error('Missing endTick');
+  raw.events.forEach(ev => { if (!Number.isInteger(ev.tick) || typeof ev.type !== 'string') throw new Error('Malformed event'); });
+  const start = raw.start && Array.isArray(raw.start.entities) ? raw.start : undefined;
+  return { version: 1, config: raw.config, start, events: raw.events, endTick };
+}
+
+replayBtn.addEventListener('click', () => {
+  const rec = currentRecording();
+  if (!rec || rec.endTick === 0) { toast('Nothing recorded yet — run the sim first'); return; }
+  enterReplay(rec);
+});
+replayExitBtn.addEventListener('click', exitReplay);
+replayScrub.addEventListener('input', () => { pause(); seekReplay(Number(replayScrub.value)); });
+replayBackBtn.addEventListener('click', () => { pause(); seekReplay(replay.tick - 1); });
+replayFwdBtn.addEventListener('click', () => { pause(); seekReplay(replay.tick + 1); });
+exportReplayBtn.addEventListener('click', () => {
+  const rec = currentRecording();
+  if (!rec) { toast('Nothing recorded yet'); return; }
+  downloadFile(`rps-replay-${rec.config.seed}.json`.replace(/[^\w.#-]+/g, '_'), JSON.stringify(rec));
+});
+importReplayBtn.addEventListener('click', () => importReplayFile.click());
+importReplayFile.addEventListener('change', async () => {
+  const file = importReplayFile.files[0]; importReplayFile.value = '';
+  if (!file) return;
+  try { enterReplay(parseRecording(JSON.parse(await file.text()))); toast('Recording loaded'); }
+  catch (err) { toast(`Import failed: ${err.message}`); }
+});
+
+/* ============================== Snapshots ============================== */
+const snapshotNameEl = document.getElementById('snapshotName');
+const saveSnapshotBtn = document.getElementById('saveSnapshotBtn');
+const downloadSnapshotBtn = document.getElementById('downloadSnapshotBtn');
+const snapshotSelectEl = document.getElementById('snapshotSelect');
+const loadSnapshotBtn = document.getElementById('loadSnapshotBtn');
+const deleteSnapshotBtn = document.getElementById('deleteSnapshotBtn');
+const importSnapshotBtn = document.getElementById('importSnapshotBtn');
+const importSnapshotFile = document.getElementById('importSnapshotFile');
+
+function savedSnapshots() {
+  try { return JSON.parse(storage.getItem('rps_snapshots')) || {}; } catch { return {}; }
+}
+
+function fillSnapshotSelect(selected) {
+  const snaps = savedSnapshots();
+  snapshotSelectEl.innerHTML = '';
+  Object.keys(snaps).sort().forEach(name => snapshotSelectEl.appendChild(new Option(`${name} (tick ${snaps[name].world.tick})`, name)));
+  if (selected && selected in snaps) snapshotSelectEl.value = selected;
+  loadSnapshotBtn.disabled = deleteSnapshotBtn.disabled = !snapshotSelectEl.options.length;
+}
+
+/** The live run in full: world state with its RNG and log, the recording so far, the frame accumulator and the sparkline. */
+function takeSnapshot(name) {
+  return {
+    kind: 'rps-snapshot', version: 1, name, savedAt: new Date().toISOString(),
+    world: world.save(), accumulator,
+    recording: currentRecording(),
+    spark: JSON.parse(JSON.stringify(historyByType)),
+  };
+}
+
+/** Checks the shape of a saved or imported snapshot; the World validates its config when loading. */
+function parseSnapshot(raw) {
+  if (!raw || raw.kind !== 'rps-snapshot' || !raw.world || typeof raw.world.config !== 'object') throw new Error('Not a snapshot');
+  const w = raw.world;
+  if (!Array.isArray(w.entities) || !Number.isInteger(w.tick) || !Number.isInteger(w.nextId) || !Number.isFinite(w.rng)) throw new Error('Incomplete world state');
+  const recording = parseRecording(raw.recording);
+  if (recording.endTick !== w.tick) throw new Error('Recording does not end at the saved tick');
+  return { ...raw, recording };
+}
+
+/** Swaps the live run for a snapshot; stepping it continues exactly as the saved run would have. */
+function loadSnapshot(snap) {
+  if (replay) exitReplay();
+  pause();
+  world = new World({ ...snap.world.config, counts: {} }).load(snap.world);
+  recording = JSON.parse(JSON.stringify(snap.recording));
+  accumulator = Number(snap.accumulator) || 0; lastTime = performance.now(); resetClock();
+  applyConfigToControls(world.config); setSeed(world.seed);
+  Object.values(historyByType).forEach(arr => arr.length = 0);
+  Object.entries(snap.spark || {}).forEach(([id, arr]) => { if (historyByType[id] && Array.isArray(arr)) historyByType[id].push(...arr); });
+  startBtn.textContent = world.tick ? 'Resume' : 'Start';
+  updateStatsAndCharts(); drawSparkline(); render();
+}
+
+function canSnapshot() {
+  if (replay) { toast('Exit playback to take a snapshot'); return false; }
+  return !!world;
+}
+
+saveSnapshotBtn.addEventListener('click', () => {
+  const name = snapshotNameEl.value.trim();
+  if (!name) { toast('Name the snapshot first'); return; }
+  if (!canSnapshot()) return;
+  const snaps = savedSnapshots();
+  snaps[name] = takeSnapshot(name);
+  try { storage.setItem('rps_snapshots', JSON.stringify(snaps)); }
+  catch { toast('Not enough storage for this snapshot — use Download instead'); return; }
+  fillSnapshotSelect(name); toast(`Saved snapshot "${name}" at tick ${world.tick}`);
+});
+downloadSnapshotBtn.addEventListener('click', () => {
+  if (!canSnapshot()) return;
+  const name = snapshotNameEl.value.trim() || exportBaseName();
+  downloadFile(`rps-snapshot-${name}.json`.replace(/[^\w.#-]+/g, '_'), JSON.stringify(takeSnapshot(name)));
+});
+loadSnapshotBtn.addEventListener('click', () => {
+  const name = snapshotSelectEl.value, raw = savedSnapshots()[name];
+  if (!raw) return;
+  try {
+    const snap = parseSnapshot(raw);
+    if (snap.world.config.types.join() !== TypeIds.join()) { toast(`"${name}" needs the types ${snap.world.config.types.join(', ')}`); return; }
+    loadSnapshot(snap); toast(`Loaded "${name}" at tick ${world.tick}`);
+  } catch (err) { toast(`Load failed: ${err.message}`); }
+});
+deleteSnapshotBtn.addEventListener('click', () => {
+  const snaps = savedSnapshots();
+  delete snaps[snapshotSelectEl.value];
+  storage.setItem('rps_snapshots', JSON.stringify(snaps));
+  fillSnapshotSelect();
+});
+importSnapshotBtn.addEventListener('click', () => importSnapshotFile.click());
+importSnapshotFile.addEventListener('change', async () => {
+  const file = importSnapshotFile.files[0]; importSnapshotFile.value = '';
+  if (!file) return;
+  try {
+    const snap = parseSnapshot(JSON.parse(await file.text()));
+    if (snap.world.config.types.join() !== TypeIds.join()) { toast(`This snapshot needs the types ${snap.world.config.types.join(', ')}`); return; }
+    loadSnapshot(snap); toast(`Snapshot loaded at tick ${world.tick}`);
+  } catch (err) { toast(`Import failed: ${err.message}`); }
+});
+
+/* ============================= Share links ============================= */
+const shareBtn = document.getElementById('shareBtn');
+
+/** URL hash with the full scenario; the ruleset is only included when it isn't the default. */
+function scenarioHash() {
+  const p = new URLSearchParams();
+  p.set('seed', rngSeedStr);
+  p.set('counts', TypeIds.map((id, i) => `${id}:${typeInputEls[i].value}`).join(','));
+  p.set('size', sizeEl.value);
+  p.set('speed', speedEl.value);
+  p.set('wall', wallModeEl.value);
+  if (spawnModeEl.value !== 'uniform') p.set('spawn', spawnModeEl.value);
+  if (layoutEl.value !== 'mixed') p.set('layout', layoutEl.value);
+  if (layoutEl.value === 'mask' && parseMask(spawnMask)) p.set('mask', `${spawnMask.w}x${spawnMask.h}:${spawnMask.data}`);
+  const phys = physicsFromControls();
+  PHYSICS_LINK_KEYS.forEach(([key, , field]) => { if (phys[field] !== DEFAULT_CONFIG[field]) p.set(key, String(phys[field])); });
+  if (phys.massRule !== 'area') p.set('mass', phys.massRule);
+  if (Object.keys(phys.typeSpeed).length) p.set('tspeed', Object.entries(phys.typeSpeed).map(([id, v]) => `${id}:${v}`).join(','));
+  if (Object.keys(phys.typeRadius).length) p.set('tsize', Object.entries(phys.typeRadius).map(([id, v]) => `${id}:${v}`).join(','));
+  const conv = conversionFromControls();
+  if (conv.onDefeat !== 'convert') p.set('defeat', conv.onDefeat);
+  if (conv.hits !== 1) p.set('hits', String(conv.hits));
+  if (conv.immunity) p.set('immune', String(conv.immunity));
+  if (Object.keys(conv.odds).length) p.set('odds', Object.entries(conv.odds).map(([k, v]) => `${k}:${v}`).join(','));
+  if (arenaEl.value !== 'box') p.set('arena', arenaEl.value);
+  if (obstacles.length) p.set('obst', encodeObstacles(obstacles));
+  const steer = steeringFromControls();
+  if (steer.steering) p.set('steer', '1');
+  const end = endFromControls();
+  if (end.maxTicks) p.set('maxticks', String(end.maxTicks));
+  if (end.quietFor) p.set('quiet', String(end.quietFor));
+  if (end.cycleWindow) p.set('cycle', String(end.cycleWindow));
+  if (Object.keys(steer.typeSteer).length) p.set('tsteer', Object.keys(steer.typeSteer).map(id => `${id}:${STEER_FIELDS.map(([f]) => steer.typeSteer[id][f] ?? STEER_DEFAULTS[f]).join('/')}`).join(','));
+  if (JSON.stringify(normalizeRuleset(activeRuleset)) !== JSON.stringify(normalizeRuleset(DEFAULT_RULESET))) {
+    p.set('rules', JSON.stringify(normalizeRuleset(activeRuleset)));
+  }
+  return '#' + p.toString();
+}
+
+// [hash key, range input, config field]
+const PHYSICS_LINK_KEYS = [['rest', restitutionEl, 'restitution'], ['drag', dragEl, 'drag'], ['vmax', vmaxEl, 'vmax'], ['jitter', jitterEl, 'jitter']];
+
+/** Clamps `raw` to a range input's min/max; returns null for non-numbers. */
+function clampToRange(el, raw) {
+  const v = Number(raw);
+  if (raw == null || raw === '' || !Number.isFinite(v)) return null;
+  return Math.max(Number(el.min), Math.min(Number(el.max), v));
+}
+
+/**
+ * Applies a scenario hash ahead of the stored values. Out-of-range values are
+ * clamped like the inputs themselves and every adjustment is reported in a toast.
+ * Returns false when the hash holds no scenario.
+ */
+function applyScenarioHash(hash) {
+  const p = new URLSearchParams(String(hash).replace(/^#/, ''));
+  if (!['seed', 'counts', 'size', 'speed', 'wall', 'spawn', 'layout', 'arena', 'obst', 'rules'].some(k => p.has(k))) return false;
+  const notes = [];
+
+  if (p.has('rules')) {
+    try {
+      const rs = normalizeRuleset(JSON.parse(p.get('rules')));
+      if (!rulesetErrors(rs).ok) throw new Error('invalid');
+      useRuleset(rs); loadDraft(rs);
+    } catch { notes.push('invalid ruleset ignored'); }
+  }
+
+  // Links leave out settings at their defaults, so anything absent goes back to the default
+  const cfg = Object.fromEntries(['spawnMode', 'layout', 'restitution', 'drag', 'vmax', 'jitter', 'massRule', 'typeSpeed', 'typeRadius', 'odds', 'hits', 'immunity', 'onDefeat', 'arena', 'obstacles', 'steering', 'typeSteer', 'maxTicks', 'quietFor', 'cycleWindow'].map(k => [k, DEFAULT_CONFIG[k]]));
+  if (p.has('seed')) {
+    const seed = p.get('seed');
+    cfg.seed = seed.slice(0, MAX_SEED_LEN);
+    if (cfg.seed.length < seed.length) notes.push(`seed truncated to ${MAX_SEED_LEN} chars`);
+  }
+  [['size', sizeEl, 'radius'], ['speed', speedEl, 'speed'], ...PHYSICS_LINK_KEYS, ['immune', immunityEl, 'immunity'], ['quiet', quietForEl, 'quietFor'], ['cycle', cycleWindowEl, 'cycleWindow']].forEach(([key, el, field]) => {
+    if (!p.has(key)) return;
+    const v = clampToRange(el, p.get(key));
+    if (v == null) { notes.push(`${key} '${p.get(key)}' ignored`); return; }
+    if (String(v) !== p.get(key)) notes.push(`${key} ${p.get(key)} → ${v}`);
+    cfg[field] = v;
+  });
+  if (p.has('wall')) {
+    const wall = p.get('wall');
+    if (wall === 'bounce' || wall === 'wrap') cfg.wallMode = wall;
+    else notes.push(`unknown wall mode '${wall}' ignored`);
+  }
+  [['spawn', SPAWN_MODES, 'spawnMode'], ['layout', LAYOUTS, 'layout'], ['arena', ARENAS, 'arena']].forEach(([key, allowed, field]) => {
+    if (!p.has(key)) return;
+    if (allowed.includes(p.get(key))) cfg[field] = p.get(key);
+    else notes.push(`unknown ${key} '${p.get(key)}' ignored`);
+  });
+  if (p.has('mass')) {
+    if (MASS_RULES.includes(p.get('mass'))) cfg.massRule = p.get('mass');
+    else notes.push(`unknown mass rule '${p.get('mass')}' ignored`);
+  }
+  if (p.has('defeat')) {
+    if (DEFEAT_MODES.includes(p.get('defeat'))) cfg.onDefeat = p.get('defeat');
+    else notes.push(`unknown defeat mode '${p.get('defeat')}' ignored`);
+  }
+  if (p.has('maxticks')) {
+    const v = Number(p.get('maxticks'));
+    if (Number.isInteger(v) && v >= 0) cfg.maxTicks = v;
+    else notes.push(`maxticks '${p.get('maxticks')}' ignored`);
+  }
+  if (p.has('hits')) {
+    const v = clampHits(p.get('hits'));
+    if (v == null) notes.push(`hits '${p.get('hits')}' ignored`);
+    else { if (String(v) !== p.get('hits')) notes.push(`hits ${p.get('hits')} → ${v}`); cfg.hits = v; }
+  }
+  if (p.has('odds')) {
+    cfg.odds = {};
+    p.get('odds').split(',').filter(Boolean).forEach(pair => {
+      const [key, raw = ''] = pair.split(':');
+      const v = clampOdds(raw);
+      if (!edgeOddsEls.has(key) || v == null) { notes.push(`odds '${pair}' ignored`); return; }
+      if (String(v) !== raw.trim()) notes.push(`${key} odds ${raw} → ${v}`);
+      cfg.odds[key] = v;
+    });
+  }
+  [['tspeed', 'typeSpeed', clampTypeSpeed], ['tsize', 'typeRadius', clampTypeRadius]].forEach(([key, field, clamp]) => {
+    if (!p.has(key)) return;
+    cfg[field] = {};
+    p.get(key).split(',').filter(Boolean).forEach(pair => {
+      const [id, raw = ''] = pair.split(':');
+      const v = clamp(raw);
+      if (!TypeIds.includes(id) || v == null) { notes.push(`${key} '${pair}' ignored`); return; }
+      if (String(v) !== raw.trim()) notes.push(`${id} ${key} ${raw} → ${v}`);
+      cfg[field][id] = v;
+    });
+  });
+  if (p.has('steer')) cfg.steering = p.get('steer') === '1';
+  if (p.has('tsteer')) {
+    cfg.typeSteer = {};
+    p.get('tsteer').split(',').filter(Boolean).forEach(pair => {
+      const [id, raw = ''] = pair.split(':');
+      const vals = raw.split('/');
+      if (!TypeIds.includes(id) || vals.length !== STEER_FIELDS.length || vals.some(v => v.trim() === '' || !Number.isFinite(Number(v)))) { notes.push(`tsteer '${pair}' ignored`); return; }
+      cfg.typeSteer[id] = {};
+      STEER_FIELDS.forEach(([f], k) => {
+        const v = clampSteer(f, vals[k]);
+        if (String(v) !== vals[k].trim()) notes.push(`${id} ${f} ${vals[k]} → ${v}`);
+        cfg.typeSteer[id][f] = v;
+      });
+    });
+  }
+  if (p.has('obst')) {
+    const list = decodeObstacles(p.get('obst'));
+    const bad = list.filter(o => !o).length;
+    if (bad) notes.push(`${bad} invalid obstacle${bad === 1 ? '' : 's'} ignored`);
+    cfg.obstacles = list.filter(Boolean);
+  }
+  if (p.has('mask')) {
+    const [, w, h, data] = /^(\d+)x(\d+):([0-9a-f]*)$/i.exec(p.get('mask')) || [];
+    const mask = { w: Number(w), h: Number(h), data };
+    if (parseMask(mask)) cfg.mask = mask; else notes.push('invalid mask ignored');
+  }
+  if (p.has('counts')) {
+    cfg.counts = Object.fromEntries(TypeIds.map(id => [id, 0]));
+    p.get('counts').split(',').filter(Boolean).forEach(pair => {
+      const [id, raw = ''] = pair.split(':');
+      if (!TypeIds.includes(id)) { notes.push(`unknown type '${id}' ignored`); return; }
+      const v = clampCount(raw);
+      if (String(v) !== raw.trim()) notes.push(`${id} count ${raw || '(empty)'} → ${v}`);
+      cfg.counts[id] = v;
+    });
+  }
+
+  applyConfigToControls(cfg);
+  if (cfg.seed != null) { storage.setItem('rps_seedInput', seedInput.value); setSeed(cfg.seed); }
+  toast(notes.length ? `Link adjusted: ${notes.join('; ')}` : 'Scenario loaded from link');
+  return true;
+}
+
+shareBtn.addEventListener('click', async () => {
+  const hash = scenarioHash();
+  history.replaceState(null, '', hash);
+  if (!hasClipboard) { toast('Link is in the address bar'); return; }
+  try { await navigator.clipboard.writeText(location.href); toast('Scenario link copied'); }
+  catch { toast('Link is in the address bar'); }
+});
+window.addEventListener('hashchange', () => { if (applyScenarioHash(location.hash)) reset(); });
+
+/* ================================ Export =============================== */
+const exportCountsBtn = document.getElementById('exportCountsBtn');
+const exportEventsBtn = document.getElementById('exportEventsBtn');
+const exportLogJsonBtn = document.getElementById('exportLogJsonBtn');
+const exportCanvasBtn = document.getElementById('exportCanvasBtn');
+const exportSparkBtn = document.getElementById('exportSparkBtn');
+const logNoteEl = document.getElementById('logNote');
+
+function exportBaseName() { return `rps-${world.seed}-t${world.tick}`.replace(/[^\w.#-]+/g, '_'); }
+
+/** Seed, config and recorded control changes — enough to reproduce the logged run. */
+function exportMeta() {
+  const rec = currentRecording();
+  return {
+    seed: world.seed, tick: world.tick, time: world.time, exportedAt: new Date().toISOString(),
+    types: world.types.slice(),
+    config: rec ? rec.config : world.config,
+    events: rec ? rec.events : [],
+    result: world.result(),
+  };
+}
+
+// CSV metadata goes in leading '#' lines (pandas: read_csv(..., comment='#')).
+function csvHeader(meta) {
+  return [
+    `# seed: ${meta.seed}`,
+    `# ticks: ${meta.tick} (dt ${FIXED_DT.toFixed(6)}s)`,
+    `# config: ${JSON.stringify(meta.config)}`,
+    `# events: ${JSON.stringify(meta.events)}`,
+    `# result: ${JSON.stringify(meta.result)}`,
+  ].join('\n') + '\n';
+}
+
+function countsCsv() {
+  const log = world.log, meta = exportMeta();
+  const lines = [['tick', 'time', ...world.types].join(',')];
+  for (let i = 0; i < log.length; i++) lines.push([log.ticks[i], (log.ticks[i] * FIXED_DT).toFixed(4), ...log.countsAt(i)].join(','));
+  return csvHeader(meta) + lines.join('\n') + '\n';
+}
+
+function eventsCsv() {
+  const meta = exportMeta();
+  const lines = ['tick,time,x,y,winner_id,loser_id,from,to'];
+  world.log.conversions.forEach(c => {
+    lines.push([c.tick, (c.tick * FIXED_DT).toFixed(4), c.x.toFixed(2), c.y.toFixed(2), c.winner, c.loser, world.types[c.from], c.to < 0 ? 'removed' : world.types[c.to]].join(','));
+  });
+  return csvHeader(meta) + lines.join('\n') + '\n';
+}
+
+function logJson() {
+  const log = world.log;
+  return JSON.stringify({
+    meta: exportMeta(),
+    every: log.every,
+    samples: log.ticks.map((tick, i) => ({ tick, counts: log.countsAt(i) })),
+    conversions: log.conversions.map(c => ({ ...c, from: world.types[c.from], to: c.to < 0 ? null : world.types[c.to] })),
+  });
+}
+
+/** PNG of a canvas flattened onto the page background (the canvases themselves are transparent). */
+function downloadCanvasPng(src, name, background, drawUnder) {
+  const out = document.createElement('canvas');
+  out.width = src.width; out.height = src.height;
+  const octx = out.getContext('2d');
+  octx.fillStyle = background; octx.fillRect(0, 0, out.width, out.height);
+  if (drawUnder) drawUnder(octx);
+  octx.drawImage(src, 0, 0);
+  out.toBlob(blob => { if (blob) downloadBlob(name, blob); else toast('PNG export failed'); }, 'image/png');
+}
+
+function updateLogNote() {
+  if (!world) return;
+  const log = world.log;
+  logNoteEl.textContent = log.every
+    ? `Every ${log.every} tick${log.every === 1 ? '' : 's'} • ${log.length} samples • ${log.conversions.length} conversions`
+    : 'Logging off for this run';
+}
+
+function requireLog() {
+  if (world && world.log.length) return true;
+  toast('Nothing logged yet'); return false;
+}
+
+exportCountsBtn.addEventListener('click', () => { if (requireLog()) downloadFile(`${exportBaseName()}-counts.csv`, countsCsv(), 'text/csv'); });
+exportEventsBtn.addEventListener('click', () => { if (requireLog()) downloadFile(`${exportBaseName()}-events.csv`, eventsCsv(), 'text/csv'); });
+exportLogJsonBtn.addEventListener('click', () => { if (requireLog()) downloadFile(`${exportBaseName()}-log.json`, logJson()); });
+exportCanvasBtn.addEventListener('click', () => {
+  if (!world) return;
+  // In worker mode the entities live on the offscreen layer, so redraw them here under the overlay.
+  const under = renderWorker ? (c) => { applyView(c); drawEntities(c, DPR * view.scale); c.setTransform(1, 0, 0, 1, 0, 0); } : null;
+  downloadCanvasPng(canvas, `${exportBaseName()}-canvas.png`, getTheme().bg, under);
+});
+exportSparkBtn.addEventListener('click', () => { if (world) downloadCanvasPng(spark, `${exportBaseName()}-sparkline.png`, getTheme().well); });
+logEveryEl.addEventListener('change', () => { logEveryEl.value = String(configFromControls().logEvery); toast('Log interval applies from the next Reset'); });
+
+/* ========================== Conversion events ========================== */
+const eventsPanel = document.getElementById('eventsPanel');
+const eventFilterEl = document.getElementById('eventFilter');
+const eventEntityEl = document.getElementById('eventEntity');
+const eventFeedEl = document.getElementById('eventFeed');
+const pairTotalsEl = document.getElementById('pairTotals');
+const heatToggle = document.getElementById('heatToggle');
+const patientZeroBtn = document.getElementById('patientZeroBtn');
+const lineageNoteEl = document.getElementById('lineageNote');
+
+const FEED_ROWS = 100;
+const EVENTS_REDRAW_MS = 250;
+const HEAT_CELL = 20; // px
+const LINK_FADE_TICKS = 60; // how long a new link in a traced chain stays drawn
+
+let lastEventsDraw = 0;
+let filterTypesKey = '';
+let heat = null;  // { log, upTo, cols, rows, cells } conversion counts per HEAT_CELL square
+let trace = null; // { root, t, chain, joined: Map<id, tick> } while replaying a patient-zero chain
+
+/** "#12 Paper took #7 Rock"; removals don't record the winner's type. */
+function conversionText(c) {
+  const loser = `#${c.loser} ${capFirst(world.types[c.from])}`;
+  return c.to < 0 ? `#${c.winner} removed ${loser}` : `#${c.winner} ${capFirst(world.types[c.to])} took ${loser}`;
+}
+
+// One option per beats edge, keyed 'from>to' like PopulationLog.pairTotals
+function fillEventFilter() {
+  const keep = eventFilterEl.value;
+  eventFilterEl.innerHTML = '';
+  eventFilterEl.appendChild(new Option('All conversions', 'all'));
+  world.types.forEach((a, ai) => world.types.forEach((b, bi) => {
+    if (world.beatsMap.get(a)?.has(b)) eventFilterEl.appendChild(new Option(`${capFirst(a)} took ${capFirst(b)}`, `${bi}>${ai}`));
+  }));
+  eventFilterEl.appendChild(new Option('Removals', 'removed'));
+  if (trace) eventFilterEl.appendChild(new Option('Patient zero chain', 'chain'));
+  eventFilterEl.value = [...eventFilterEl.options].some(o => o.value === keep) ? keep : 'all';
+  filterTypesKey = world.types.join() + (trace ? '|chain' : '');
+}
+
+function eventMatches(c, filter, id) {
+  if (id && c.winner !== id && c.loser !== id) return false;
+  if (filter === 'removed') return c.to < 0;
+  return filter === 'all' || filter === 'chain' || `${c.from}>${c.to}` === filter;
+}
+
+/** Redraws the feed (newest first), the per-pair totals and the patient-zero button; throttled while running. */
+function refreshEvents(force) {
+  if (!world || !eventsPanel.open) return;
+  const now = performance.now();
+  if (!force && running && now - lastEventsDraw < EVENTS_REDRAW_MS) return;
+  lastEventsDraw = now;
+  if (filterTypesKey !== world.types.join() + (trace ? '|chain' : '')) fillEventFilter();
+
+  const filter = eventFilterEl.value, id = parseInt(eventEntityEl.value, 10) || 0;
+  const list = filter === 'chain' && trace ? trace.chain : world.log.conversions;
+  const rows = [];
+  for (let i = list.length - 1; i >= 0 && rows.length < FEED_ROWS; i--) {
+    const c = list[i];
+    if (c.tick <= world.tick && eventMatches(c, filter, id)) rows.push(c);
+  }
+  eventFeedEl.innerHTML = '<thead><tr><th>Time</th><th>Event</th><th>Where</th></tr></thead>';
+  const body = document.createElement('tbody');
+  rows.forEach(c => {
+    const tr = document.createElement('tr');
+    [fmtTime(c.tick), conversionText(c), `${c.x.toFixed(0)}, ${c.y.toFixed(0)}`].forEach(v => { const td = document.createElement('td'); td.textContent = v; tr.appendChild(td); });
+    tr.title = 'Inspect the converted entity';
+    tr.addEventListener('click', () => { inspectId = c.loser; render(); updateInspector(); });
+    body.appendChild(tr);
+  });
+  if (!rows.length) body.innerHTML = '<tr><td colspan="3">No conversions yet</td></tr>';
+  eventFeedEl.appendChild(body);
+
+  const totals = [...world.log.pairTotals(world.tick)].sort((x, y) => y[1] - x[1]);
+  pairTotalsEl.innerHTML = '<thead><tr><th>Pair</th><th>Total</th></tr></thead>';
+  const tbody = document.createElement('tbody');
+  totals.forEach(([k, n]) => {
+    const [from, to] = k.split('>').map(Number);
+    const tr = document.createElement('tr');
+    const name = document.createElement('td'); name.textContent = to < 0 ? `${capFirst(world.types[from])} removed` : `${capFirst(world.types[to])} took ${capFirst(world.types[from])}`;
+    const td = document.createElement('td'); td.textContent = String(n);
+    tr.append(name, td); tbody.appendChild(tr);
+  });
+  pairTotalsEl.appendChild(tbody);
+
+  patientZeroBtn.disabled = !trace && (!!replay || world.outcome() !== 'win');
+  updateLineageNote();
+}
+
+function updateLineageNote() {
+  if (!trace) {
+    lineageNoteEl.textContent = replay ? 'Exit playback to trace a winner' : world.outcome() === 'win' ? `Trace the conversions that spread ${capFirst(world.getWinner())}` : 'Finish a run with a winner to trace its patient zero';
+    return;
+  }
+  const done = lowerBound(trace.chain, world.tick + 1, c => c.tick);
+  lineageNoteEl.textContent = `Patient zero #${trace.root} (${capFirst(world.types[trace.t])}) • ${done} of ${trace.chain.length} conversions in its chain so far`;
+}
+
+/** Replays the run from tick 0 with the winner's longest conversion chain highlighted. */
+function replayPatientZero() {
+  if (trace) { seekReplay(0); return; }
+  const t = world.types.indexOf(world.getWinner());
+  const lineage = world.log.lineage(t);
+  if (!lineage) { toast(`No conversions into ${capFirst(world.getWinner())} were logged`); return; }
+  const joined = new Map([[lineage.root, 0]]);
+  lineage.chain.forEach(c => { if (!joined.has(c.loser)) joined.set(c.loser, c.tick); });
+  enterReplay(currentRecording());
+  trace = { ...lineage, t, joined };
+  inspectId = lineage.root;
+  render(); updateInspector(); refreshEvents(true);
+}
+
+/** Counts conversions into HEAT_CELL squares, incrementally unless the log was replaced or rewound. */
+function updateHeat() {
+  const log = world.log, cols = Math.ceil(world.config.width / HEAT_CELL), rows = Math.ceil(world.config.height / HEAT_CELL);
+  if (!heat || heat.log !== log || heat.upTo > log.conversions.length || heat.cols !== cols || heat.rows !== rows) {
+    heat = { log, upTo: 0, cols, rows, cells: new Uint32Array(cols * rows), max: 0 };
+  }
+  const conv = log.conversions;
+  for (; heat.upTo < conv.length; heat.upTo++) {
+    const c = conv[heat.upTo];
+    const cx = Math.min(cols - 1, Math.max(0, Math.floor(c.x / HEAT_CELL))), cy = Math.min(rows - 1, Math.max(0, Math.floor(c.y / HEAT_CELL)));
+    const n = ++heat.cells[cy * cols + cx];
+    if (n > heat.max) heat.max = n;
+  }
+}
+
+function drawHeatmap() {
+  if (!heatToggle.checked) return;
+  updateHeat();
+  if (!heat.max) return;
+  ctx.save();
+  ctx.fillStyle = getTheme().danger;
+  for (let i = 0; i < heat.cells.length; i++) {
+    const n = heat.cells[i]; if (!n) continue;
+    ctx.globalAlpha = 0.08 + 0.5 * n / heat.max;
+    ctx.fillRect((i % heat.cols) * HEAT_CELL, Math.floor(i / heat.cols) * HEAT_CELL, HEAT_CELL, HEAT_CELL);
+  }
+  ctx.restore();
+}
+
+// Chain members that have joined so far get a ring (patient zero a thicker one);
+// links made in the last LINK_FADE_TICKS are drawn from the converter to where it struck.
+function drawLineage() {
+  if (!trace) return;
+  ctx.save();
+  ctx.strokeStyle = getTheme().accent2; ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  for (const e of world.entities) {
+    const at = trace.joined.get(e._id);
+    if (at == null || at > world.tick || e.t !== trace.t || e._id === trace.root) continue;
+    ctx.moveTo(e.x + e.r + 3, e.y); ctx.arc(e.x, e.y, e.r + 3, 0, Math.PI * 2);
+  }
+  ctx.stroke();
+  const byId = new Map(world.entities.map(e => [e._id, e]));
+  const from = lowerBound(trace.chain, world.tick - LINK_FADE_TICKS + 1, c => c.tick);
+  for (let i = from; i < trace.chain.length && trace.chain[i].tick <= world.tick; i++) {
+    const c = trace.chain[i], w = byId.get(c.winner);
+    if (!w) continue;
+    ctx.globalAlpha = 1 - (world.tick - c.tick) / LINK_FADE_TICKS;
+    ctx.beginPath(); ctx.moveTo(w.x, w.y); ctx.lineTo(c.x, c.y); ctx.stroke();
+  }
+  const root = byId.get(trace.root);
+  if (root) {
+    ctx.globalAlpha = 1; ctx.strokeStyle = getTheme().highlight; ctx.lineWidth = 3;
+    ctx.beginPath(); ctx.arc(root.x, root.y, root.r + 6, 0, Math.PI * 2); ctx.stroke();
+  }
+  ctx.restore();
+}
+
+eventsPanel.addEventListener('toggle', () => refreshEvents(true));
+[eventFilterEl, eventEntityEl].forEach(el => el.addEventListener('change', () => refreshEvents(true)));
+heatToggle.addEventListener('change', () => { storage.setItem('rps_heatmap', heatToggle.checked ? '1' : '0'); render(); });
+heatToggle.checked = storage.getItem('rps_heatmap') === '1';
+patientZeroBtn.addEventListener('click', replayPatientZero);
+
+/* ========================= Population chart =========================== */
+const chartPanel = document.getElementById('chartPanel');
+const chartEl = document.getElementById('chart');
+const chartCtx = chartEl.getContext('2d');
+const chartModeEl = document.getElementById('chartMode');
+const chartAxisEl = document.getElementById('chartAxis');
+const chartStackedEl = document.getElementById('chartStacked');
+const chartResetBtn = document.getElementById('chartResetBtn');
+const chartReadoutEl = document.getElementById('chartReadout');
+
+const CHART_PAD = { l: 40, r: 10, t: 8, b: 20 };
+const CHART_REDRAW_MS = 250;
+let chartView = null;    // [tick0, tick1] while zoomed, null = whole run
+let chartColumns = [];   // plotted columns from the last draw, for hit-testing
+let chartHover = -1;
+let chartDrag = null;
+let lastChartDraw = 0;
+
+/** Index of the first element of the ascending array `arr` (optionally via `key`) that is >= v. */
+function lowerBound(arr, v, key = x => x) {
+  let lo = 0, hi = arr.length;
+  while (lo < hi) { const mid = (lo + hi) >> 1; if (key(arr[mid]) < v) lo = mid + 1; else hi = mid; }
+  return lo;
+}
+
+function fmtTime(tick) {
+  return chartAxisEl.value === 'ticks' ? String(Math.round(tick)) : `${(tick * FIXED_DT).toFixed(1)}s`;
+}
+
+function chartRange(log) {
+  const last = log.ticks[log.length - 1];
+  if (!chartView) return [0, last];
+  const span = Math.max(10, chartView[1] - chartView[0]);
+  const t0 = Math.max(0, Math.min(chartView[0], last - span));
+  return [t0, Math.min(last, t0 + span)];
+}
+
+function drawChart(force = false) {
+  if (!chartPanel.open) return;
+  const now = performance.now();
+  if (!force && now - lastChartDraw < CHART_REDRAW_MS) return;
+  lastChartDraw = now;
+
+  const rect = chartEl.getBoundingClientRect();
+  const W = rect.width, H = rect.height;
+  if (chartEl.width !== Math.floor(W * DPR) || chartEl.height !== Math.floor(H * DPR)) {
+    chartEl.width = Math.floor(W * DPR); chartEl.height = Math.floor(H * DPR);
+  }
+  const c = chartCtx;
+  c.setTransform(DPR, 0, 0, DPR, 0, 0);
+  c.clearRect(0, 0, W, H);
+  chartColumns = [];
+  const log = world && world.log;
+  if (!log || log.length < 2) {
+    c.fillStyle = getTheme().muted; c.font = '12px system-ui'; c.fillText('No history yet', CHART_PAD.l, H / 2);
+    return;
+  }
+
+  const n = log.typeCount, share = chartModeEl.value === 'share', stacked = chartStackedEl.checked;
+  const [t0, t1] = chartRange(log);
+  const i0 = Math.max(0, lowerBound(log.ticks, t0) - 1), i1 = Math.min(log.length - 1, lowerBound(log.ticks, t1));
+  const pw = W - CHART_PAD.l - CHART_PAD.r, ph = H - CHART_PAD.t - CHART_PAD.b;
+  const xOf = tick => CHART_PAD.l + (tick - t0) / Math.max(1, t1 - t0) * pw;
+
+  // One column per sample, or per pixel when zoomed out far enough to need bucketing.
+  const per = Math.max(1, Math.ceil((i1 - i0 + 1) / Math.max(1, pw)));
+  let ymax = 1;
+  for (let i = i0; i <= i1; i += per) {
+    const last = Math.min(i1, i + per - 1);
+    const vals = log.countsAt(last);
+    const total = vals.reduce((a, b) => a + b, 0) || 1;
+    const v = share ? vals.map(x => x / total) : vals;
+    if (!share) ymax = Math.max(ymax, stacked ? total : Math.max(...vals));
+    chartColumns.push({ x: xOf(log.ticks[last]), from: i, to: last, vals, v });
+  }
+  const yOf = val => CHART_PAD.t + ph * (1 - val / ymax);
+
+  // Axes and grid
+  const theme = getTheme();
+  c.strokeStyle = theme.line; c.fillStyle = theme.muted; c.lineWidth = 1; c.font = '11px system-ui';
+  c.textAlign = 'right'; c.textBaseline = 'middle';
+  for (let k = 0; k <= 4; k++) {
+    const val = ymax * k / 4, y = yOf(val);
+    c.globalAlpha = 0.5; c.beginPath(); c.moveTo(CHART_PAD.l, y); c.lineTo(W - CHART_PAD.r, y); c.stroke(); c.globalAlpha = 1;
+    c.fillText(share ? `${Math.round(val * 100)}%` : String(Math.round(val)), CHART_PAD.l - 4, y);
+  }
+  c.textAlign = 'center'; c.textBaseline = 'top';
+  for (let k = 0; k <= 5; k++) {
+    const tick = t0 + (t1 - t0) * k / 5;
+    c.fillText(fmtTime(tick), Math.min(W - 24, Math.max(CHART_PAD.l + 12, xOf(tick))), H - CHART_PAD.b + 4);
+  }
+
+  // Series
+  const palette = getPalette();
+  c.save();
+  c.beginPath(); c.rect(CHART_PAD.l, CHART_PAD.t, pw, ph); c.clip();
+  if (stacked) {
+    const base = chartColumns.map(() => 0);
+    for (let t = 0; t < n; t++) {
+      c.beginPath();
+      chartColumns.forEach((col, j) => { const y = yOf(base[j] + col.v[t]); if (j === 0) c.moveTo(col.x, y); else c.lineTo(col.x, y); });
+      for (let j = chartColumns.length - 1; j >= 0; j--) c.lineTo(chartColumns[j].x, yOf(base[j]));
+      c.closePath();
+      c.globalAlpha = 0.8; c.fillStyle = palette[world.types[t]] || '#ccc'; c.fill(); c.globalAlpha = 1;
+      chartColumns.forEach((col, j) => { base[j] += col.v[t]; });
+    }
+  } else {
+    c.lineWidth = 2;
+    for (let t = 0; t < n; t++) {
+      c.strokeStyle = palette[world.types[t]] || '#ccc'; c.beginPath();
+      chartColumns.forEach((col, j) => { const y = yOf(col.v[t]); if (j === 0) c.moveTo(col.x, y); else c.lineTo(col.x, y); });
+      c.stroke();
+    }
+  }
+  const hov = chartColumns[chartHover];
+  if (hov) { c.strokeStyle = theme.text; c.lineWidth = 1; c.beginPath(); c.moveTo(hov.x, CHART_PAD.t); c.lineTo(hov.x, CHART_PAD.t + ph); c.stroke(); }
+  c.restore();
+}
+
+function chartColumnAt(clientX) {
+  if (!chartColumns.length) return -1;
+  const x = clientX - chartEl.getBoundingClientRect().left;
+  const j = lowerBound(chartColumns, x, col => col.x);
+  if (j >= chartColumns.length) return chartColumns.length - 1;
+  if (j > 0 && x - chartColumns[j - 1].x < chartColumns[j].x - x) return j - 1;
+  return j;
+}
+
+/** Tick span a column covers: after the previous sample up to and including its last one. */
+function columnTicks(col) {
+  const log = world.log;
+  return [col.from > 0 ? log.ticks[col.from - 1] + 1 : 0, log.ticks[col.to]];
+}
+
+function showChartReadout(col) {
+  const total = col.vals.reduce((a, b) => a + b, 0) || 1;
+  const tick = world.log.ticks[col.to];
+  chartReadoutEl.textContent = `${fmtTime(tick)} (tick ${tick}): ` + world.types.map((id, t) => `${capFirst(id)} ${col.vals[t]} (${(col.vals[t] / total * 100).toFixed(0)}%)`).join(' • ');
+}
+
+function showIntervalConversions(col) {
+  const [a, b] = columnTicks(col);
+  const conv = world.log.conversions;
+  const from = lowerBound(conv, a, e => e.tick), to = lowerBound(conv, b + 1, e => e.tick);
+  const pairs = new Map();
+  for (let i = from; i < to; i++) {
+    const c = conv[i];
+    const k = c.to < 0 ? `${capFirst(world.types[c.from])} removed` : `${capFirst(world.types[c.to])} took ${capFirst(world.types[c.from])}`;
+    pairs.set(k, (pairs.get(k) || 0) + 1);
+  }
+  const detail = [...pairs].sort((x, y) => y[1] - x[1]).map(([k, v]) => `${k} ×${v}`).join(', ');
+  chartReadoutEl.textContent = `Ticks ${a}–${b} (${fmtTime(a)}–${fmtTime(b)}): ${to - from} conversion${to - from === 1 ? '' : 's'}${detail ? ' — ' + detail : ''}`;
+}
+
+chartEl.addEventListener('wheel', ev => {
+  const log = world && world.log; if (!log || log.length < 2) return;
+  ev.preventDefault();
+  const [t0, t1] = chartRange(log);
+  const rect = chartEl.getBoundingClientRect();
+  const f = Math.max(0, Math.min(1, (ev.clientX - rect.left - CHART_PAD.l) / (rect.width - CHART_PAD.l - CHART_PAD.r)));
+  const at = t0 + (t1 - t0) * f, scale = ev.deltaY < 0 ? 1 / 1.25 : 1.25;
+  const span = Math.max(10, (t1 - t0) * scale);
+  const last = log.ticks[log.length - 1];
+  chartView = span >= last ? null : [at - span * f, at - span * f + span];
+  drawChart(true);
+}, { passive: false });
+chartEl.addEventListener('pointerdown', ev => {
+  chartDrag = { x: ev.clientX, view: world ? chartRange(world.log) : null, moved: false };
+  chartEl.setPointerCapture(ev.pointerId);
+});
+chartEl.addEventListener('pointermove', ev => {
+  if (chartDrag && chartDrag.view && Math.abs(ev.clientX - chartDrag.x) > 3) {
+    chartDrag.moved = true;
+    const [t0, t1] = chartDrag.view;
+    const pw = chartEl.getBoundingClientRect().width - CHART_PAD.l - CHART_PAD.r;
+    const shift = -(ev.clientX - chartDrag.x) / pw * (t1 - t0);
+    chartView = [Math.max(0, t0 + shift), Math.max(0, t0 + shift) + (t1 - t0)];
+  }
+  chartHover = chartColumnAt(ev.clientX);
+  if (chartColumns[chartHover] && !chartDrag?.moved) showChartReadout(chartColumns[chartHover]);
+  drawChart(true);
+});
+chartEl.addEventListener('pointerup', ev => {
+  const drag = chartDrag; chartDrag = null;
+  if (!drag || drag.moved) return;
+  const col = chartColumns[chartColumnAt(ev.clientX)];
+  if (!col) return;
+  if (running) { chartReadoutEl.textContent = 'Pause the simulation to count conversions for an interval'; return; }
+  showIntervalConversions(col);
+});
+chartEl.addEventListener('pointerleave', () => { chartHover = -1; drawChart(true); });
+chartResetBtn.addEventListener('click', () => { chartView = null; drawChart(true); });
+[chartModeEl, chartAxisEl, chartStackedEl].forEach(el => el.addEventListener('change', () => drawChart(true)));
+chartPanel.addEventListener('toggle', () => drawChart(true));
+
+/* ========================= Offscreen rendering ========================= */
+// Optional: entities are drawn by render-worker.js into an OffscreenCanvas layered
+// under the main canvas, which turns transparent and keeps obstacles and overlays.
+const workerToggle = document.getElementById('workerToggle');
+let renderWorker = null, workerLayer = null, workerTypesSent = null;
+let workerBusy = false;
+
+function workerSupported() {
+  return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+    typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function';
+}
+
+function startRenderWorker() {
+  if (!workerSupported()) { toast('Worker rendering needs OffscreenCanvas support'); return false; }
+  try {
+    workerLayer = document.createElement('canvas');
+    workerLayer.className = 'worker-layer';
+    workerLayer.setAttribute('aria-hidden', 'true');
+    canvas.before(workerLayer);
+    canvas.classList.add('over-worker');
+    const off = workerLayer.transferControlToOffscreen();
+    renderWorker = new Worker('./render-worker.js');
+    renderWorker.onmessage = ({ data }) => { if (data.type === 'done') { packBuf = data.buf; workerBusy = false; } };
+    renderWorker.onerror = (e) => { e.preventDefault(); stopRenderWorker(); toast('Render worker failed; drawing on the main thread'); };
+    renderWorker.postMessage({ type: 'init', canvas: off }, [off]);
+    workerTypesSent = null; workerBusy = false;
+    syncWorkerLayer();
+    return true;
+  } catch (err) {
+    stopRenderWorker();
+    toast('Could not start the render worker');
+    return false;
+  }
+}
+
+function stopRenderWorker() {
+  if (renderWorker) renderWorker.terminate();
+  if (workerLayer) workerLayer.remove();
+  canvas.classList.remove('over-worker');
+  renderWorker = null; workerLayer = null; workerBusy = false;
+  packBuf = null; // may have been transferred to the terminated worker
+  workerToggle.checked = false;
+  render();
+}
+
+/** Keeps the worker layer under the main canvas at the same size and DPR. */
+function syncWorkerLayer() {
+  if (!renderWorker) return;
+  Object.assign(workerLayer.style, {
+    left: canvas.offsetLeft + 'px', top: canvas.offsetTop + 'px', width: VIEW_W + 'px', height: VIEW_H + 'px',
+  });
+  renderWorker.postMessage({ type: 'resize', width: VIEW_W, height: VIEW_H, dpr: DPR });
+}
+
+function postWorkerFrame() {
+  if (workerBusy) return; // previous frame still drawing; its buffer comes back with 'done'
+  const palette = getPalette();
+  if (workerTypesSent !== palette) {
+    renderWorker.postMessage({
+      type: 'types',
+      types: TypeRegistry.map(t => ({ shape: t.shape, letter: t.letter })),
+      colors: TypeRegistry.map(t => palette[t.id]),
+      opts: drawOptions(),
+    });
+    workerTypesSent = palette;
+  }
+  packBuf = packEntities(world.entities, packBuf);
+  renderWorker.postMessage({ type: 'frame', buf: packBuf, n: world.entities.length, view: [view.scale, view.x, view.y] }, [packBuf.buffer]);
+  packBuf = null; workerBusy = true;
+}
+
+workerToggle.addEventListener('change', () => {
+  if (workerToggle.checked) { if (!startRenderWorker()) workerToggle.checked = false; else render(); }
+  else stopRenderWorker();
+});
+
+/* ============================ Debug overlay ============================ */
+const debugToggle = document.getElementById('debugToggle');
+
+// Smoothed per-frame figures plus per-step collision counters summed over the current frame.
+const debugStats = { fps: 0, renderMs: 0, stepsPerFrame: 0, steps: 0, narrowPhase: 0, contacts: 0, wrappedLookups: 0, obstacleHits: 0, last: null };
+
+function accumulateDebugStats(s) {
+  debugStats.steps++;
+  debugStats.narrowPhase += s.narrowPhase; debugStats.contacts += s.contacts; debugStats.wrappedLookups += s.wrappedLookups; debugStats.obstacleHits += s.obstacleHits;
+}
+
+function noteFrame(dt, steps) {
+  if (!debugToggle.checked) return;
+  const k = 0.1; // EMA weight
+  if (dt > 0) debugStats.fps += ((1 / dt) - debugStats.fps) * k;
+  debugStats.stepsPerFrame += (steps - debugStats.stepsPerFrame) * k;
+  if (debugStats.steps) {
+    const n = debugStats.steps;
+    debugStats.last = { narrowPhase: debugStats.narrowPhase / n, contacts: debugStats.contacts / n, wrappedLookups: debugStats.wrappedLookups / n, obstacleHits: debugStats.obstacleHits / n };
+  }
+  debugStats.steps = 0; debugStats.narrowPhase = 0; debugStats.contacts = 0; debugStats.wrappedLookups = 0; debugStats.obstacleHits = 0;
+}
+
+function noteRender(ms) { debugStats.renderMs += (ms - debugStats.renderMs) * 0.1; }
+
+function drawDebugOverlay() {
+  const w = world, CELL = w.cell, theme = getTheme();
+  ctx.save();
+
+  // Bucket occupancy, green (sparse) → red (densest cell this step)
+  let max = 1;
+  w.forEachCell((ix, iy, n) => { if (n > max) max = n; });
+  w.forEachCell((ix, iy, n) => {
+    const f = n / max;
+    ctx.fillStyle = `hsla(${Math.round(120 - 120 * f)}, 80%, 50%, ${(0.08 + 0.3 * f).toFixed(3)})`;
+    ctx.fillRect(ix * CELL, iy * CELL, CELL, CELL);
+  });
+  ctx.strokeStyle = theme.muted; ctx.globalAlpha = 0.15; ctx.lineWidth = 1; ctx.beginPath();
+  for (let ix = 0; ix <= w.gw; ix++) { ctx.moveTo(ix * CELL, 0); ctx.lineTo(ix * CELL, w.gh * CELL); }
+  for (let iy = 0; iy <= w.gh; iy++) { ctx.moveTo(0, iy * CELL); ctx.lineTo(w.gw * CELL, iy * CELL); }
+  ctx.stroke(); ctx.globalAlpha = 1;
+
+  // Toroidal diagnostics: cells reached through the wrap, entities inserted across an edge
+  if (w.wrap && w.debug && w.debug.wrappedCells) {
+    ctx.setLineDash([4, 3]); ctx.strokeStyle = theme.danger; ctx.globalAlpha = 0.8;
+    for (const c of w.debug.wrappedCells) ctx.strokeRect((c % w.gw) * CELL + 1, Math.floor(c / w.gw) * CELL + 1, CELL - 2, CELL - 2);
+    ctx.setLineDash([]); ctx.globalAlpha = 1; ctx.lineWidth = 2;
+    for (const e of w.debug.wrappedInserts) { ctx.beginPath(); ctx.arc(e.x, e.y, e.r + 3, 0, Math.PI * 2); ctx.stroke(); }
+  }
+
+  // Velocity vectors (length = distance covered in 0.25s at speed 1)
+  ctx.strokeStyle = theme.text; ctx.globalAlpha = 0.6; ctx.lineWidth = 1; ctx.beginPath();
+  for (const e of w.entities) { ctx.moveTo(e.x, e.y); ctx.lineTo(e.x + e.vx * 0.25, e.y + e.vy * 0.25); }
+  ctx.stroke(); ctx.globalAlpha = 1;
+
+  const per = debugStats.last || w.stats;
+  const lines = [
+    `FPS ${debugStats.fps.toFixed(0)} • steps/frame ${debugStats.stepsPerFrame.toFixed(2)} • accumulator ${(accumulator * 1000).toFixed(1)}ms`,
+    `render ${debugStats.renderMs.toFixed(2)}ms` + (renderWorker ? ' (post to worker)' : ' (batched)'),
+    `entities ${w.entities.length} • cell ${CELL}px (${w.gw}×${w.gh}) • buckets ${w.grid.size}`,
+    `per step: narrowPhase ${per.narrowPhase.toFixed(1)} • contacts ${per.contacts.toFixed(1)}` + (w.wrap ? ` • wrapped lookups ${per.wrappedLookups.toFixed(1)}` : '') + (w.solids.length ? ` • obstacle hits ${per.obstacleHits.toFixed(1)}` : ''),
+  ];
+  ctx.setTransform(DPR, 0, 0, DPR, 0, 0); // the panel stays in screen space
+  ctx.font = '12px ui-monospace, SFMono-Regular, Menlo, monospace'; ctx.textBaseline = 'top';
+  const bw = Math.max(...lines.map(l => ctx.measureText(l).width)) + 16;
+  ctx.fillStyle = theme.bg; ctx.globalAlpha = 0.8; ctx.fillRect(8, 8, bw, lines.length * 16 + 10);
+  ctx.fillStyle = theme.text; ctx.globalAlpha = 1;
+  lines.forEach((l, i) => ctx.fillText(l, 16, 13 + i * 16));
+  ctx.restore();
+}
+
+debugToggle.addEventListener('change', () => { if (world) world.debug = debugToggle.checked ? {} : null; render(); });
+
 /* ============================== Initialize ============================= */
 function buildTypeUIAndInit() {
+  loadActiveRuleset();
   buildTypeUI();
-  loadCommon();
+  fillRulePresets(); loadDraft(activeRuleset);
+  loadCommon(); RPSCompare.init(); RPSTournament.init(); loadSpawnMask(); fillLayoutSelect(); fillSnapshotSelect(); syncToolCursor(); updatePhysicsNote(); updateConversionNote(); updateSteerNote(); updateEndNote(); updateArenaNote();
   const savedSeed = storage.getItem('rps_seedInput'); if (savedSeed) { seedInput.value = savedSeed; }
   seedInput.addEventListener('input', () => storage.setItem('rps_seedInput', seedInput.value));
   seedInput.addEventListener('change', () => storage.setItem('rps_seedInput', seedInput.value));
-  updateCellSize(); resizeCanvas();
+  applyScenarioHash(location.hash);
+  resizeCanvas();
   setSeed(seedInput.value || rngSeedStr);
   initFromControls();
   render();
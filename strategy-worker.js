@@ -0,0 +1,110 @@
+/* eslint-env worker, es2021 */
+/* global importScripts, Intl */
+/* Sandbox for one tournament strategy script (API in README → Tournament). Each
+   message from tournament.js carries a `seq` that the reply echoes as { seq, result } or
+   { seq, error }:
+   { type: 'init', code, seed }   evaluates the script; result { steer } tells whether it defines steer()
+   { type: 'layout', game }       result: layout(game), the side's starting placements
+   { type: 'steer', state }       result: steer(state), new headings by entity id
+   A fresh worker runs each side of each match. Everything below lives in one
+   closure; the script is evaluated in global scope, where messaging, network
+   access, script loading and timers have been removed. Every source of entropy
+   it could still reach is made deterministic: Math.random and
+   crypto.getRandomValues() are seeded from the match seed, and Date.now(),
+   new Date() and performance.now() read a clock stopped at 0. So a rerun on
+   any machine makes the same choices. */
+importScripts('./core.js');
+
+(function () {
+  'use strict';
+  const { mulberry32, xfnv1a } = self.RPSCore;
+  // Captured before they are removed from the global scope below
+  const reply = self.postMessage.bind(self);
+  const listen = self.addEventListener.bind(self);
+  const BLOCKED = [
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'indexedDB', 'caches', 'BroadcastChannel', 'Worker', 'SharedWorker',
+    'postMessage', 'addEventListener', 'removeEventListener', 'dispatchEvent', 'onmessage', 'onmessageerror', 'close', 'RPSCore',
+    'setTimeout', 'setInterval', 'requestAnimationFrame', 'navigator', 'location', 'Temporal',
+  ];
+  const RealDate = Date;
+  let script = null;
+
+  /** Removes `key` from the global object and every prototype it inherits from. */
+  function strip(key) {
+    for (let o = self; o; o = Object.getPrototypeOf(o)) {
+      if (Object.prototype.hasOwnProperty.call(o, key)) try { delete o[key]; } catch { /* not configurable */ }
+    }
+    try { if (key in self) self[key] = undefined; } catch { /* read-only */ }
+  }
+
+  /** Replaces global `key` (own or inherited, e.g. a getter) with a fixed value. */
+  function replace(key, value) {
+    strip(key);
+    Object.defineProperty(self, key, { value, writable: false, configurable: false });
+  }
+
+  /** A Date whose clock is stopped at the epoch; dates built from explicit values behave as usual. */
+  function FixedDate(...args) {
+    if (!new.target) return new RealDate(0).toString();
+    return Reflect.construct(RealDate, args.length ? args : [0], new.target);
+  }
+  FixedDate.prototype = RealDate.prototype;
+  FixedDate.now = () => 0;
+  FixedDate.parse = RealDate.parse;
+  FixedDate.UTC = RealDate.UTC;
+
+  /** crypto.getRandomValues() and randomUUID() drawing from `rand` instead of the system. */
+  function seededCrypto(rand) {
+    const getRandomValues = array => {
+      if (!ArrayBuffer.isView(array) || array instanceof Float32Array || array instanceof Float64Array) throw new TypeError('getRandomValues() needs an integer typed array');
+      const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+      for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(rand() * 256);
+      return array;
+    };
+    const randomUUID = () => {
+      const b = getRandomValues(new Uint8Array(16));
+      b[6] = (b[6] & 0x0f) | 0x40; b[8] = (b[8] & 0x3f) | 0x80; // version 4, RFC 4122 variant
+      const hex = [...b].map(x => x.toString(16).padStart(2, '0')).join('');
+      return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    };
+    return Object.freeze({ getRandomValues, randomUUID });
+  }
+
+  function lockDown(seed) {
+    Math.random = mulberry32(xfnv1a(String(seed)));
+    replace('crypto', seededCrypto(mulberry32(xfnv1a(`${seed}#crypto`))));
+    RealDate.prototype.constructor = FixedDate; // so (new Date()).constructor can't reach the real clock
+    replace('Date', FixedDate);
+    replace('performance', Object.freeze({ now: () => 0, timeOrigin: 0 }));
+    // Formatting without a date reads the real clock too; `format` is a getter returning a bound function
+    const proto = Intl.DateTimeFormat.prototype;
+    const format = Object.getOwnPropertyDescriptor(proto, 'format').get, formatToParts = proto.formatToParts;
+    Object.defineProperty(proto, 'format', { get() { const f = format.call(this); return (date = 0) => f(date); }, configurable: false });
+    Object.defineProperty(proto, 'formatToParts', { value(date = 0) { return formatToParts.call(this, date); }, configurable: false, writable: false });
+    if (typeof Event === 'function') Object.defineProperty(Event.prototype, 'timeStamp', { get: () => 0, configurable: false });
+  }
+
+  function load(code) {
+    // Strict mode keeps `this` undefined inside the script's functions
+    return new Function(`'use strict';\n${code}\n;return { layout: typeof layout === 'function' ? layout : null, steer: typeof steer === 'function' ? steer : null };`)();
+  }
+
+  listen('message', ({ data }) => {
+    try {
+      let result = null;
+      if (data.type === 'init') {
+        if (script) throw new Error('Script already loaded');
+        lockDown(data.seed);
+        script = load(data.code);
+        if (!script.layout) throw new Error('The script must define layout(game)');
+        result = { steer: !!script.steer };
+      } else if (data.type === 'layout') result = script.layout(data.game);
+      else if (data.type === 'steer') result = script.steer(data.state);
+      // Round-trip through JSON so whatever the script returns can be posted back
+      reply({ seq: data.seq, result: JSON.parse(JSON.stringify(result ?? null)) });
+    } catch (err) {
+      reply({ seq: data.seq, error: String((err && err.message) || err) });
+    }
+  });
+  BLOCKED.forEach(strip);
+})();
@@ -0,0 +1,291 @@
+/* eslint-env browser, es2021 */
+/* global RPSCore, World, FIXED_DT, MAX_ENTITIES_PER_TYPE, TypeRegistry, TypeIds, sizeEl, speedEl, seedInput, rngSeedStr, setSeed, configFromControls, applyConfigToControls, reset, deriveSeed, BATCH_SLICE_MS, CHART_REDRAW_MS, DPR, getTheme, getPalette, capFirst, quantile, toast, downloadFile */
+/* Parameter sweeps: runs a grid of one or two swept parameters × seeds in
+   time slices and plots win probability or median time as a heatmap. Loaded
+   by index.html before sim.js (as `RPSSweep`); its functions read sim.js
+   globals when called, so nothing here runs sim.js code at load. */
+window.RPSSweep = (function () {
+  'use strict';
+
+  const sweepXParamEl = document.getElementById('sweepXParam');
+  const sweepXFromEl = document.getElementById('sweepXFrom');
+  const sweepXToEl = document.getElementById('sweepXTo');
+  const sweepXStepsEl = document.getElementById('sweepXSteps');
+  const sweepYParamEl = document.getElementById('sweepYParam');
+  const sweepYFromEl = document.getElementById('sweepYFrom');
+  const sweepYToEl = document.getElementById('sweepYTo');
+  const sweepYStepsEl = document.getElementById('sweepYSteps');
+  const sweepSeedsEl = document.getElementById('sweepSeeds');
+  const sweepMaxTimeEl = document.getElementById('sweepMaxTime');
+  const sweepRunBtn = document.getElementById('sweepRunBtn');
+  const sweepCancelBtn = document.getElementById('sweepCancelBtn');
+  const sweepStatusEl = document.getElementById('sweepStatus');
+  const sweepResultsEl = document.getElementById('sweepResults');
+  const sweepMetricEl = document.getElementById('sweepMetric');
+  const sweepHeat = document.getElementById('sweepHeat');
+  const sweepReadoutEl = document.getElementById('sweepReadout');
+  const sweepCsvBtn = document.getElementById('sweepCsvBtn');
+  const sweepJsonBtn = document.getElementById('sweepJsonBtn');
+
+  const SWEEP_MAX_RUNS = 5000;
+  const SWEEP_PAD = { l: 44, r: 4, t: 4, b: 18 };
+  const SWEEP_AXES = [
+    [sweepXParamEl, sweepXFromEl, sweepXToEl, sweepXStepsEl],
+    [sweepYParamEl, sweepYFromEl, sweepYToEl, sweepYStepsEl],
+  ];
+  let sweepJob = null;  // the sweep being run, or the last one run
+  let lastSweepDraw = 0;
+
+  function sweepParamLabel(param) {
+    if (param.startsWith('count:')) return `${capFirst(param.slice(6))} count`;
+    return { radius: 'Size', speed: 'Speed', wallMode: 'Wall mode' }[param] || param;
+  }
+
+  /** Valid range of a numeric sweep parameter, from the matching control. */
+  function sweepRange(param) {
+    if (param.startsWith('count:')) return [0, MAX_ENTITIES_PER_TYPE];
+    const el = param === 'radius' ? sizeEl : speedEl;
+    return [Number(el.min), Number(el.max)];
+  }
+
+  function fillSweepParams() {
+    SWEEP_AXES.forEach(([sel], axis) => {
+      const keep = sel.value;
+      sel.innerHTML = '';
+      if (axis === 1) sel.appendChild(new Option('None', 'none'));
+      TypeRegistry.forEach(t => sel.appendChild(new Option(`Count: ${t.label}`, `count:${t.id}`)));
+      [['radius', 'Size'], ['speed', 'Speed'], ['wallMode', 'Wall mode']].forEach(([v, text]) => sel.appendChild(new Option(text, v)));
+      sel.value = [...sel.options].some(o => o.value === keep) ? keep : sel.options[0].value;
+      syncSweepAxis(axis);
+    });
+  }
+
+  // Wall mode always sweeps both modes, so its range inputs are unused
+  function syncSweepAxis(axis) {
+    const [sel, ...inputs] = SWEEP_AXES[axis];
+    inputs.forEach(el => { el.disabled = sel.value === 'none' || sel.value === 'wallMode'; });
+  }
+
+  function onSweepParamChange(axis) {
+    const [sel, fromEl, toEl] = SWEEP_AXES[axis];
+    syncSweepAxis(axis);
+    if (sel.value === 'none' || sel.value === 'wallMode') return;
+    const [lo, hi] = sweepRange(sel.value);
+    fromEl.value = String(sel.value.startsWith('count:') ? 10 : lo);
+    toEl.value = String(sel.value.startsWith('count:') ? 60 : hi);
+  }
+
+  /** One axis as { param, label, values }, null for 'None'; throws on unusable input. */
+  function sweepAxis(axis) {
+    const [sel, fromEl, toEl, stepsEl] = SWEEP_AXES[axis];
+    const param = sel.value;
+    if (param === 'none') return null;
+    const steps = Math.max(1, Math.min(20, parseInt(stepsEl.value, 10) || 1));
+    stepsEl.value = String(steps);
+    let values;
+    if (param === 'wallMode') values = RPSCore.sweepValues(param);
+    else {
+      const [lo, hi] = sweepRange(param);
+      const [from, to] = [fromEl, toEl].map(el => (el.value.trim() === '' ? NaN : Math.max(lo, Math.min(hi, Number(el.value)))));
+      if (!Number.isFinite(from) || !Number.isFinite(to)) throw new Error(`${sweepParamLabel(param)} needs a numeric range`);
+      fromEl.value = String(from); toEl.value = String(to);
+      values = RPSCore.sweepValues(param, from, to, steps);
+    }
+    return { param, label: sweepParamLabel(param), values };
+  }
+
+  function startSweep() {
+    if (sweepJob && sweepJob.running) return;
+    let x, y;
+    try { x = sweepAxis(0); y = sweepAxis(1); } catch (err) { toast(err.message); return; }
+    if (y && y.param === x.param) { toast('Pick two different parameters'); return; }
+    const seeds = Math.max(1, Math.min(200, parseInt(sweepSeedsEl.value, 10) || 1));
+    const maxTime = Math.max(10, Math.min(3600, Number(sweepMaxTimeEl.value) || 300));
+    sweepSeedsEl.value = String(seeds); sweepMaxTimeEl.value = String(maxTime);
+    const ys = y ? y.values : [null];
+    const total = x.values.length * ys.length * seeds;
+    if (total > SWEEP_MAX_RUNS) { toast(`${total} runs is too many — keep it under ${SWEEP_MAX_RUNS}`); return; }
+    setSeed(seedInput.value);
+    const config = { ...configFromControls(), logEvery: 0 };
+    const points = [];
+    ys.forEach((yv, yi) => x.values.forEach((xv, xi) => {
+      const pc = RPSCore.sweepConfig(config, x.param, xv);
+      points.push({ xi, yi, x: xv, y: yv, config: y ? RPSCore.sweepConfig(pc, y.param, yv) : pc, results: [] });
+    }));
+    sweepJob = {
+      base: rngSeedStr, config, types: TypeIds.slice(), x, y, seeds, maxTicks: Math.round(maxTime / FIXED_DT),
+      points, point: 0, done: 0, total, world: null, running: true, t0: performance.now(),
+    };
+    sweepRunBtn.disabled = true; sweepCancelBtn.disabled = false;
+    fillSweepMetric(); sweepResultsEl.hidden = false;
+    setTimeout(sweepSlice, 0);
+  }
+
+  function sweepSlice() {
+    const job = sweepJob;
+    if (!job || !job.running) return;
+    const until = performance.now() + BATCH_SLICE_MS;
+    while (job.done < job.total && performance.now() < until) {
+      const p = job.points[job.point];
+      if (!job.world) job.world = new World({ ...p.config, seed: deriveSeed(job.base, p.results.length) });
+      const w = job.world;
+      for (let k = 0; k < 60 && !RPSCore.isMatchOver(w, job.maxTicks); k++) w.step(FIXED_DT);
+      if (RPSCore.isMatchOver(w, job.maxTicks)) {
+        const { seed, outcome, winner, ticks, time } = RPSCore.matchSummary(w);
+        p.results.push({ seed, outcome, winner, ticks, time });
+        job.world = null; job.done++;
+        if (p.results.length >= job.seeds) job.point++;
+      }
+    }
+    sweepStatusEl.textContent = `Running ${job.done}/${job.total}…`;
+    if (performance.now() - lastSweepDraw > CHART_REDRAW_MS) { lastSweepDraw = performance.now(); drawSweepHeat(); }
+    if (job.done >= job.total) finishSweep(false);
+    else setTimeout(sweepSlice, 0);
+  }
+
+  function finishSweep(cancelled) {
+    const job = sweepJob;
+    sweepRunBtn.disabled = false; sweepCancelBtn.disabled = true;
+    if (!job || !job.running) return;
+    job.running = false; job.world = null;
+    const secs = ((performance.now() - job.t0) / 1000).toFixed(1);
+    sweepStatusEl.textContent = `${cancelled ? 'Cancelled after' : 'Finished'} ${job.done} runs over ${job.points.length} points in ${secs}s (base seed ${job.base})`;
+    drawSweepHeat();
+  }
+
+  function fillSweepMetric() {
+    const keep = sweepMetricEl.value;
+    sweepMetricEl.innerHTML = '';
+    sweepJob.types.forEach(id => sweepMetricEl.appendChild(new Option(`${capFirst(id)} win probability`, `win:${id}`)));
+    sweepMetricEl.appendChild(new Option('Median time to finish', 'time'));
+    sweepMetricEl.value = [...sweepMetricEl.options].some(o => o.value === keep) ? keep : sweepMetricEl.options[0].value;
+  }
+
+  /** Median time over runs that ended in a win, draw or extinction; NaN when none did. */
+  function sweepMedianTime(results) {
+    return quantile(results.filter(r => ['win', 'draw', 'extinct'].includes(r.outcome)).map(r => r.time).sort((a, b) => a - b), 0.5);
+  }
+
+  /** The plotted value of a point: a win share in [0, 1] or a median time in seconds; NaN without data. */
+  function sweepValue(p, metric) {
+    if (!p.results.length) return NaN;
+    if (metric === 'time') return sweepMedianTime(p.results);
+    const id = metric.slice(4);
+    return p.results.filter(r => r.winner === id).length / p.results.length;
+  }
+
+  function drawSweepHeat() {
+    const job = sweepJob;
+    if (!job) return;
+    const rect = sweepHeat.getBoundingClientRect();
+    const W = rect.width, H = rect.height;
+    sweepHeat.width = Math.floor(W * DPR); sweepHeat.height = Math.floor(H * DPR);
+    const c = sweepHeat.getContext('2d');
+    c.setTransform(DPR, 0, 0, DPR, 0, 0);
+    c.clearRect(0, 0, W, H);
+    const metric = sweepMetricEl.value, nx = job.x.values.length, ny = job.y ? job.y.values.length : 1;
+    const cw = (W - SWEEP_PAD.l - SWEEP_PAD.r) / nx, ch = (H - SWEEP_PAD.t - SWEEP_PAD.b) / ny;
+    const vals = job.points.map(p => sweepValue(p, metric));
+    const known = vals.filter(Number.isFinite);
+    const lo = metric === 'time' ? Math.min(...known) : 0, hi = metric === 'time' ? Math.max(...known) : 1;
+    const accent = getTheme().accent, color = metric === 'time' ? accent : getPalette()[metric.slice(4)] || accent;
+    c.font = '11px system-ui, sans-serif'; c.textAlign = 'center'; c.textBaseline = 'middle';
+    job.points.forEach((p, i) => {
+      const x = SWEEP_PAD.l + p.xi * cw, y = H - SWEEP_PAD.b - (p.yi + 1) * ch; // first y value at the bottom
+      const v = vals[i];
+      if (!Number.isFinite(v)) return;
+      c.globalAlpha = 0.1 + 0.9 * (hi > lo ? (v - lo) / (hi - lo) : 1);
+      c.fillStyle = color; c.fillRect(x + 1, y + 1, cw - 2, ch - 2);
+      c.globalAlpha = 1;
+      if (cw > 30 && ch > 14) {
+        c.fillStyle = getTheme().text;
+        c.fillText(metric === 'time' ? `${v.toFixed(0)}s` : `${Math.round(v * 100)}%`, x + cw / 2, y + ch / 2);
+      }
+    });
+    c.fillStyle = getTheme().muted;
+    const every = Math.ceil(28 / cw);
+    job.x.values.forEach((v, i) => { if (i % every === 0) c.fillText(String(v), SWEEP_PAD.l + (i + 0.5) * cw, H - SWEEP_PAD.b / 2); });
+    if (job.y) {
+      c.textAlign = 'right';
+      const everyY = Math.ceil(14 / ch);
+      job.y.values.forEach((v, i) => { if (i % everyY === 0) c.fillText(String(v), SWEEP_PAD.l - 6, H - SWEEP_PAD.b - (i + 0.5) * ch); });
+    }
+    sweepReadoutEl.textContent = sweepAxesNote(job) + (metric === 'time' && known.length ? ` • brighter = longer (${lo.toFixed(0)}–${hi.toFixed(0)}s)` : '');
+  }
+
+  function sweepAxesNote(job) {
+    return `Across: ${job.x.label}` + (job.y ? ` • up: ${job.y.label}` : '') + ` • ${job.seeds} seed${job.seeds === 1 ? '' : 's'} per point`;
+  }
+
+  function sweepPointAt(ev) {
+    const job = sweepJob;
+    if (!job) return null;
+    const rect = sweepHeat.getBoundingClientRect();
+    const nx = job.x.values.length, ny = job.y ? job.y.values.length : 1;
+    const xi = Math.floor((ev.clientX - rect.left - SWEEP_PAD.l) / ((rect.width - SWEEP_PAD.l - SWEEP_PAD.r) / nx));
+    const yi = Math.floor((rect.bottom - SWEEP_PAD.b - ev.clientY) / ((rect.height - SWEEP_PAD.t - SWEEP_PAD.b) / ny));
+    return job.points.find(p => p.xi === xi && p.yi === yi) || null;
+  }
+
+  function describeSweepPoint(job, p) {
+    const where = `${job.x.label} ${p.x}` + (job.y ? `, ${job.y.label} ${p.y}` : '');
+    if (!p.results.length) return `${where}: not run yet`;
+    const wins = job.types.map(id => [id, p.results.filter(r => r.winner === id).length]).filter(([, n]) => n);
+    const undecided = p.results.filter(r => !r.winner).length;
+    const t = sweepMedianTime(p.results);
+    return `${where}: ${p.results.length} runs • ` + wins.map(([id, n]) => `${capFirst(id)} ${n}`).join(', ') +
+      (undecided ? `${wins.length ? ', ' : ''}no winner ${undecided}` : '') + (Number.isFinite(t) ? ` • median ${t.toFixed(1)}s` : '');
+  }
+
+  function sweepCsv(job) {
+    const lines = ['x_param,x,y_param,y,seed,outcome,winner,time,ticks'];
+    job.points.forEach(p => p.results.forEach(r => {
+      lines.push([job.x.param, p.x, job.y ? job.y.param : '', job.y ? p.y : '', r.seed, r.outcome, r.winner || '', r.time.toFixed(4), r.ticks].join(','));
+    }));
+    return [
+      `# base seed: ${job.base} (run i of every point uses the seed base#i)`,
+      `# sweep: ${JSON.stringify(sweepSpec(job))}`,
+      `# config: ${JSON.stringify(job.config)}`,
+    ].join('\n') + '\n' + lines.join('\n') + '\n';
+  }
+
+  function sweepSpec(job) {
+    return { x: { param: job.x.param, values: job.x.values }, y: job.y && { param: job.y.param, values: job.y.values }, seedsPerPoint: job.seeds, maxTicks: job.maxTicks };
+  }
+
+  sweepRunBtn.addEventListener('click', startSweep);
+  sweepCancelBtn.addEventListener('click', () => finishSweep(true));
+  SWEEP_AXES.forEach(([sel], axis) => sel.addEventListener('change', () => onSweepParamChange(axis)));
+  sweepMetricEl.addEventListener('change', drawSweepHeat);
+  sweepHeat.addEventListener('pointermove', ev => {
+    const p = sweepPointAt(ev);
+    sweepReadoutEl.textContent = p ? describeSweepPoint(sweepJob, p) : sweepJob ? sweepAxesNote(sweepJob) : '—';
+  });
+  sweepHeat.addEventListener('click', ev => {
+    const job = sweepJob, p = sweepPointAt(ev);
+    if (!p || !p.results.length) return;
+    if (job.types.join() !== TypeIds.join()) toast('Ruleset changed since the sweep; the run may differ');
+    applyConfigToControls({ ...p.config, seed: p.results[0].seed });
+    reset();
+    toast(`Loaded ${p.results[0].seed} at ${job.x.label} ${p.x}` + (job.y ? `, ${job.y.label} ${p.y}` : ''));
+  });
+  sweepCsvBtn.addEventListener('click', () => {
+    if (sweepJob) downloadFile(`rps-sweep-${sweepJob.base}.csv`.replace(/[^\w.#-]+/g, '_'), sweepCsv(sweepJob), 'text/csv');
+  });
+  sweepJsonBtn.addEventListener('click', () => {
+    const job = sweepJob;
+    if (!job) return;
+    const out = {
+      kind: 'rps-sweep', version: 1, baseSeed: job.base, types: job.types, config: job.config, ...sweepSpec(job),
+      points: job.points.map(p => ({ x: p.x, y: p.y, results: p.results })),
+    };
+    downloadFile(`rps-sweep-${job.base}.json`.replace(/[^\w.#-]+/g, '_'), JSON.stringify(out, null, 2));
+  });
+
+  return {
+    /** Refills the parameter selects from the current ruleset. */
+    fillParams: fillSweepParams,
+    /** Redraws the heatmap (after a palette or theme change), if a sweep has run. */
+    redraw() { if (sweepJob) drawSweepHeat(); },
+  };
+})();
@@ -0,0 +1,18 @@
+/* eslint-env node, es2021 */
+/* Obstacle collisions: each entity meets each obstacle once per step.
+   Usage: node --test test/ */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { World, FIXED_DT } = require('../core.js');
+
+test('an entity straddling several cells is resolved once per obstacle', () => {
+  const probe = new World({ width: 640, height: 480, counts: {}, wallMode: 'bounce' });
+  const X = probe.cell * 4, Y = probe.cell * 3; // a cell corner, so the entity sits in four cells
+  // Wedged between two circles: pushing out of one pushes it into the other
+  const obstacles = [{ kind: 'circle', x: X - 25, y: Y, r: 20 }, { kind: 'circle', x: X + 25, y: Y, r: 20 }];
+  const w = new World({ width: 640, height: 480, counts: {}, wallMode: 'bounce', obstacles, jitter: 0 });
+  w.applyEdit({ add: [[w.nextId, 0, X, Y, 10, 0, 0]] });
+  w.step(FIXED_DT);
+  assert.equal(w.stats.obstacleHits, 2);
+});
@@ -0,0 +1,59 @@
+/* eslint-env node, es2021 */
+/* Spawn modes and layouts: seeded placement and the overlap count.
+   Usage: node --test test/ */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { World, SPAWN_MODES, LAYOUTS } = require('../core.js');
+
+const CONFIG = {
+  width: 640, height: 480, radius: 8, seed: 'spawn-seed',
+  counts: { circle: 30, square: 30, triangle: 30, lizard: 30, spock: 30 },
+  mask: { w: 4, h: 2, data: '0f3f0f3f' },
+};
+
+const placements = w => w.entities.map(e => [e.t, e.x, e.y, e.r]);
+
+/** Entities that overlap one placed before them, counted independently of populate(). */
+function countOverlaps(w) {
+  let n = 0;
+  w.entities.forEach((e, i) => {
+    if (w.entities.slice(0, i).some(o => Math.hypot(e.x - o.x, e.y - o.y) < e.r + o.r)) n++;
+  });
+  return n;
+}
+
+for (const spawnMode of SPAWN_MODES) {
+  for (const layout of LAYOUTS) {
+    test(`${spawnMode} spawn with the ${layout} layout is seed-deterministic`, () => {
+      const config = { ...CONFIG, spawnMode, layout };
+      const a = new World(config), b = new World(config);
+      assert.equal(a.entities.length, 150);
+      assert.deepEqual(placements(a), placements(b));
+      assert.notDeepEqual(placements(new World({ ...config, seed: 'other' })), placements(a));
+      assert.equal(a.overlapped, countOverlaps(a));
+    });
+  }
+}
+
+test('the mask layout only places entities on lit cells', () => {
+  const w = new World({ ...CONFIG, layout: 'mask', mask: { w: 2, h: 1, data: '0f' } });
+  assert.ok(w.entities.every(e => e.x >= CONFIG.width / 2 - e.r));
+});
+
+test('low-overlap modes place a sparse arena without overlaps', () => {
+  for (const spawnMode of ['jittered', 'poisson']) {
+    const w = new World({ ...CONFIG, spawnMode, layout: 'mixed' });
+    assert.equal(w.overlapped, 0);
+    assert.equal(countOverlaps(w), 0);
+  }
+});
+
+test('an overfull arena reports every overlapping entity', () => {
+  for (const spawnMode of SPAWN_MODES) {
+    const w = new World({ ...CONFIG, width: 200, height: 150, radius: 10, spawnMode, counts: { circle: 60, square: 60 } });
+    assert.ok(w.overlapped > 0, spawnMode);
+    assert.equal(w.overlapped, countOverlaps(w), spawnMode);
+    assert.equal(new World({ ...CONFIG, width: 200, height: 150, radius: 10, spawnMode, counts: { circle: 60, square: 60 } }).overlapped, w.overlapped);
+  }
+});
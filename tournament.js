@@ -0,0 +1,456 @@
+/* eslint-env browser, es2021 */
+/* global RPSCore, World, FIXED_DT, BATCH_SLICE_MS, TypeIds, storage, seedInput, rngSeedStr, setSeed, deriveSeed, configFromControls, enterReplay, addOption, fmtTime, toast, downloadFile */
+/* Tournaments: round-robin matches between strategy scripts. Each side of a
+   match is one script, run in its own strategy-worker.js: layout() places up to
+   `budget` entities in the side's half and the optional steer() turns the
+   side's entities every STEER_EVERY ticks. An entity belongs to the side that
+   placed it, then to whichever side's entity converted it last. The sim waits
+   for every reply, so a match depends only on the scripts, the seed and the
+   config, and can be replayed or re-verified. Loaded by index.html before
+   sim.js (as `RPSTournament`); its functions read sim.js globals when called. */
+window.RPSTournament = (function () {
+  'use strict';
+
+  const entrySelectEl = document.getElementById('entrySelect');
+  const entryNameEl = document.getElementById('entryName');
+  const entryCodeEl = document.getElementById('entryCode');
+  const newEntryBtn = document.getElementById('newEntryBtn');
+  const deleteEntryBtn = document.getElementById('deleteEntryBtn');
+  const importEntryBtn = document.getElementById('importEntryBtn');
+  const importEntryFile = document.getElementById('importEntryFile');
+  const tourneyBudgetEl = document.getElementById('tourneyBudget');
+  const tourneySeedsEl = document.getElementById('tourneySeeds');
+  const tourneyMaxTimeEl = document.getElementById('tourneyMaxTime');
+  const tourneyRunBtn = document.getElementById('tourneyRunBtn');
+  const tourneyCancelBtn = document.getElementById('tourneyCancelBtn');
+  const tourneyStatusEl = document.getElementById('tourneyStatus');
+  const tourneyResultsEl = document.getElementById('tourneyResults');
+  const leaderboardEl = document.getElementById('leaderboard');
+  const matchTableEl = document.getElementById('matchTable');
+  const tourneyExportBtn = document.getElementById('tourneyExportBtn');
+  const tourneyVerifyBtn = document.getElementById('tourneyVerifyBtn');
+  const tourneyVerifyFile = document.getElementById('tourneyVerifyFile');
+
+  const TOURNEY_W = 800, TOURNEY_H = 500; // fixed, so results don't depend on the window size
+  const STEER_EVERY = 6;                  // ticks between steer() calls (10 per simulated second)
+  const TEAM_SPEED = 84;                  // px/s for placed entities, the mean of World.randVel()
+  const SCRIPT_MS = { init: 3000, layout: 1000, steer: 100 }; // reply deadline per call; missing it forfeits
+  const POINTS = { win: 3, draw: 1, loss: 0 };
+
+  const EXAMPLE_ENTRIES = [
+    { name: 'Grid', code: `// An even mix of every type on a grid across the whole half; no steering.
+  function layout(game) {
+    const cols = Math.ceil(Math.sqrt(game.budget * game.width / game.height));
+    const rows = Math.ceil(game.budget / cols);
+    const r = Math.max(...game.types.map(t => game.radii[t]));
+    const out = [];
+    for (let i = 0; i < game.budget; i++) {
+      out.push({
+        x: r + ((i % cols) + 0.5) / cols * (game.width - 2 * r),
+        y: r + (Math.floor(i / cols) + 0.5) / rows * (game.height - 2 * r),
+        type: game.types[i % game.types.length],
+      });
+    }
+    return out;
+  }` },
+    { name: 'Hunter', code: `// A column near the centre line; every entity heads for the nearest enemy it beats.
+  function layout(game) {
+    const out = [];
+    for (let i = 0; i < game.budget; i++) {
+      const type = game.types[i % game.types.length], r = game.radii[type];
+      out.push({ x: game.width - 2 * r, y: r + (i + 0.5) / game.budget * (game.height - 2 * r), type, angle: 0 });
+    }
+    return out;
+  }
+
+  function steer(state) {
+    const headings = {};
+    for (const e of state.entities) {
+      if (!e.mine) continue;
+      let best = null, bestD = Infinity;
+      for (const o of state.entities) {
+        if (o.mine || !state.beats[e.type].includes(o.type)) continue;
+        const d = (o.x - e.x) ** 2 + (o.y - e.y) ** 2;
+        if (d < bestD) { bestD = d; best = o; }
+      }
+      if (best) headings[e.id] = Math.atan2(best.y - e.y, best.x - e.x);
+    }
+    return headings;
+  }` },
+  ];
+
+  let entries = [];
+  let tourneyJob = null;   // the tournament being run, or the last one run
+
+  function loadEntries() {
+    try { entries = JSON.parse(storage.getItem('rps_entries')) || EXAMPLE_ENTRIES.map(e => ({ ...e })); }
+    catch { entries = EXAMPLE_ENTRIES.map(e => ({ ...e })); }
+  }
+  function saveEntries() { storage.setItem('rps_entries', JSON.stringify(entries)); }
+
+  function fillEntrySelect(select = entrySelectEl.selectedIndex) {
+    entrySelectEl.innerHTML = '';
+    entries.forEach((e, i) => addOption(entrySelectEl, String(i), e.name));
+    entrySelectEl.selectedIndex = Math.max(0, Math.min(select, entries.length - 1));
+    showEntry();
+  }
+
+  function showEntry() {
+    const e = entries[entrySelectEl.selectedIndex];
+    entryNameEl.value = e ? e.name : ''; entryCodeEl.value = e ? e.code : '';
+    entryNameEl.disabled = entryCodeEl.disabled = deleteEntryBtn.disabled = !e;
+  }
+
+  function addEntry(name, code) {
+    let unique = name, n = 2;
+    while (entries.some(e => e.name === unique)) unique = `${name} ${n++}`;
+    entries.push({ name: unique, code });
+    saveEntries(); fillEntrySelect(entries.length - 1);
+  }
+
+  /**
+   * Starts a script in its own worker; `call` resolves with its reply and rejects on an
+   * error or a missed deadline (an error with `deadline: true`).
+   */
+  function openStrategy() {
+    const worker = new Worker('./strategy-worker.js');
+    const pending = new Map();
+    let seq = 0;
+    const failAll = message => { pending.forEach(p => { clearTimeout(p.timer); p.reject(new Error(message)); }); pending.clear(); };
+    worker.onmessage = ({ data }) => {
+      const p = pending.get(data.seq);
+      if (!p) return;
+      pending.delete(data.seq); clearTimeout(p.timer);
+      if (data.error != null) p.reject(new Error(data.error)); else p.resolve(data.result);
+    };
+    worker.onerror = (e) => { e.preventDefault(); failAll(e.message || 'the worker failed'); };
+    return {
+      call(type, payload) {
+        return new Promise((resolve, reject) => {
+          const id = ++seq;
+          const timer = setTimeout(() => { pending.delete(id); reject(Object.assign(new Error(`${type}() took longer than ${SCRIPT_MS[type]} ms`), { deadline: true })); }, SCRIPT_MS[type]);
+          pending.set(id, { resolve, reject, timer });
+          worker.postMessage({ seq: id, type, ...payload });
+        });
+      },
+      close() { failAll('closed'); worker.terminate(); },
+    };
+  }
+
+  const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  /** Side-local view: both sides see their own back wall at x = 0 and the opponent toward +x. */
+  function toLocal(side, W, x) { return side ? W - x : x; }
+  function toWorldAngle(side, a) { return side ? Math.PI - a : a; }
+
+  /** Entity states for a side's layout() result; throws on anything outside the rules. */
+  function placeSide(w, side, placements, budget, rng) {
+    if (!Array.isArray(placements)) throw new Error('layout() must return an array');
+    if (placements.length > budget) throw new Error(`layout() placed ${placements.length} entities; the budget is ${budget}`);
+    const W = w.config.width, H = w.config.height;
+    return placements.map((p, i) => {
+      const t = w.types.indexOf(p && p.type);
+      if (t < 0) throw new Error(`placement ${i + 1}: unknown type '${p && p.type}'`);
+      const r = w.radiusOf(t), x = Number(p.x), y = Number(p.y);
+      if (!(x >= r && x <= W / 2 - r && y >= r && y <= H - r)) throw new Error(`placement ${i + 1}: (${p.x}, ${p.y}) is outside the side's half`);
+      const a = toWorldAngle(side, Number.isFinite(p.angle) ? p.angle : rng() * Math.PI * 2);
+      return [w.nextId++, t, toLocal(side, W, x), y, r, Math.cos(a) * TEAM_SPEED, Math.sin(a) * TEAM_SPEED];
+    });
+  }
+
+  /** What steer() sees: every entity in the side's frame, marked `mine` when the side owns it. */
+  function sideState(w, side, owner, beats) {
+    const W = w.config.width;
+    return {
+      side, tick: w.tick, time: w.time, width: W, height: w.config.height, types: w.types, beats,
+      entities: w.entities.map(e => ({ id: e._id, type: w.types[e.t], x: toLocal(side, W, e.x), y: e.y, vx: side ? -e.vx : e.vx, vy: e.vy, r: e.r, mine: owner.get(e._id) === side })),
+    };
+  }
+
+  /** Moves for the headings a side returned, applied to its own entities at their current speed. */
+  function headingMoves(w, side, owner, headings) {
+    const move = [];
+    if (!headings || typeof headings !== 'object') return move;
+    for (const e of w.entities) {
+      const a = Number(headings[e._id]);
+      if (owner.get(e._id) !== side || !Number.isFinite(a)) continue;
+      const sp = Math.hypot(e.vx, e.vy) || TEAM_SPEED, wa = toWorldAngle(side, a);
+      move.push({ id: e._id, x: e.x, y: e.y, vx: Math.cos(wa) * sp, vy: Math.sin(wa) * sp });
+    }
+    return move;
+  }
+
+  function teamCounts(w, owner) {
+    const counts = [0, 0];
+    for (const e of w.entities) counts[owner.get(e._id)]++;
+    return counts;
+  }
+
+  /**
+   * Plays match `m` ({ sides: [entryIndex, entryIndex], seed }) of `spec`. Resolves with
+   * { winner: side or -1, reason, tick, counts, error?, late? }, or null when `job` is
+   * cancelled; `late` lists the sides that missed a reply deadline. With `record` the
+   * result also carries a replayable recording.
+   */
+  async function playMatch(spec, m, job, record = false) {
+    const w = new World({ ...spec.config, seed: m.seed });
+    const boxes = m.sides.map(() => openStrategy());
+    const errors = [null, null], late = [];
+    const call = (s, type, payload) => boxes[s].call(type, payload).catch(err => {
+      errors[s] = `${spec.entries[m.sides[s]].name}: ${err.message}`;
+      if (err.deadline) late.push(s);
+      return null;
+    });
+    const owner = new Map();
+    let events = null, start = null;
+    const done = (winner, reason) => {
+      const out = { winner, reason, tick: w.tick, counts: teamCounts(w, owner) };
+      if (errors.some(Boolean)) out.error = errors.filter(Boolean).join('; ');
+      if (late.length) out.late = late.slice().sort();
+      if (record) out.recording = { version: 1, config: JSON.parse(JSON.stringify(w.config)), start, events: events || [], endTick: w.tick };
+      return out;
+    };
+    // A stalled or broken side forfeits; when both do, the match is a loss for both (see leaderboard())
+    const forfeit = () => done(errors[0] && errors[1] ? -1 : errors[0] ? 1 : 0, 'forfeit');
+    try {
+      const ready = await Promise.all(m.sides.map((e, s) => call(s, 'init', { code: spec.entries[e].code, seed: `${m.seed}|${s}` })));
+      if (errors.some(Boolean)) return forfeit();
+      const radii = Object.fromEntries(w.types.map((id, t) => [id, w.radiusOf(t)])); // what placeSide() checks against
+      const game = s => ({ side: s, budget: spec.budget, width: w.config.width / 2, height: w.config.height, radius: w.config.radius, radii, types: w.types, beats: spec.config.beats });
+      const placed = await Promise.all(m.sides.map((e, s) => call(s, 'layout', { game: game(s) })));
+      const add = [];
+      placed.forEach((p, s) => {
+        if (errors[s]) return;
+        try {
+          const rng = RPSCore.mulberry32(RPSCore.xfnv1a(`${m.seed}|layout|${s}`));
+          placeSide(w, s, p, spec.budget, rng).forEach(st => { owner.set(st[0], s); add.push(st); });
+        } catch (err) { errors[s] = `${spec.entries[m.sides[s]].name}: ${err.message}`; }
+      });
+      if (errors.some(Boolean)) return forfeit();
+      w.applyEdit({ add });
+      if (record) { start = w.snapshot(); events = []; }
+
+      const steerers = [0, 1].filter(s => ready[s].steer);
+      let seen = 0, until = performance.now() + BATCH_SLICE_MS;
+      for (;;) {
+        if (job.cancelled) return null;
+        const counts = teamCounts(w, owner);
+        if (!counts[0] || !counts[1]) return done(counts[0] ? 0 : counts[1] ? 1 : -1, 'eliminated');
+        if (w.isFinished()) return done(counts[0] > counts[1] ? 0 : counts[1] > counts[0] ? 1 : -1, w.outcome() === 'timeout' ? 'timeout' : 'settled');
+        if (steerers.length && w.tick % STEER_EVERY === 0) {
+          const replies = await Promise.all(steerers.map(s => call(s, 'steer', { state: sideState(w, s, owner, spec.config.beats) })));
+          if (errors.some(Boolean)) return forfeit();
+          const move = steerers.flatMap((s, k) => headingMoves(w, s, owner, replies[k]));
+          if (move.length) {
+            const ev = { tick: w.tick, type: 'edit', move };
+            w.applyEvent(ev);
+            if (events) events.push(ev);
+          }
+        }
+        w.step(FIXED_DT);
+        const conv = w.log.conversions;
+        for (; seen < conv.length; seen++) if (conv[seen].to >= 0) owner.set(conv[seen].loser, owner.get(conv[seen].winner));
+        if (performance.now() > until) { await nextTask(); until = performance.now() + BATCH_SLICE_MS; }
+      }
+    } finally {
+      boxes.forEach(b => b.close());
+    }
+  }
+
+  /** Every ordered pairing on every seed, so each pair plays each seed once from each side. */
+  function tourneyMatches(entryCount, seeds) {
+    const matches = [];
+    for (let a = 0; a < entryCount; a++) {
+      for (let b = a + 1; b < entryCount; b++) {
+        seeds.forEach(seed => { matches.push({ sides: [a, b], seed }, { sides: [b, a], seed }); });
+      }
+    }
+    return matches.map((m, i) => ({ index: i, ...m }));
+  }
+
+  function tourneySpecFromControls() {
+    const budget = Math.max(1, Math.min(200, parseInt(tourneyBudgetEl.value, 10) || 30));
+    const seedCount = Math.max(1, Math.min(20, parseInt(tourneySeedsEl.value, 10) || 1));
+    const maxTime = Math.max(10, Math.min(600, Number(tourneyMaxTimeEl.value) || 120));
+    tourneyBudgetEl.value = String(budget); tourneySeedsEl.value = String(seedCount); tourneyMaxTimeEl.value = String(maxTime);
+    setSeed(seedInput.value);
+    const config = {
+      ...configFromControls(), width: TOURNEY_W, height: TOURNEY_H, counts: TypeIds.map(() => 0),
+      spawnMode: 'uniform', layout: 'mixed', mask: null, arena: 'box', obstacles: [], steering: false,
+      maxTicks: Math.round(maxTime / FIXED_DT), quietFor: 0, cycleWindow: 0, logEvery: 1,
+    };
+    return {
+      config, budget, baseSeed: rngSeedStr,
+      seeds: Array.from({ length: seedCount }, (_, i) => deriveSeed(rngSeedStr, i)),
+      entries: entries.map(e => ({ name: e.name, code: e.code })),
+    };
+  }
+
+  /** Resolves when a strategy worker can be started at all (not from file://, for one). */
+  async function canRunStrategies() {
+    let box = null;
+    try { box = openStrategy(); await box.call('init', { code: 'function layout() { return []; }', seed: '' }); return true; }
+    catch { return false; }
+    finally { if (box) box.close(); }
+  }
+
+  async function startTournament(spec, expected = null) {
+    if (tourneyJob && tourneyJob.running) return;
+    if (spec.entries.length < 2) { toast('A tournament needs at least two entries'); return; }
+    if (!(await canRunStrategies())) { toast('Could not start strategy workers (serve the page over http)'); return; }
+    const job = tourneyJob = { spec, expected, matches: tourneyMatches(spec.entries.length, spec.seeds), results: [], running: true, cancelled: false, t0: performance.now() };
+    tourneyRunBtn.disabled = tourneyVerifyBtn.disabled = true; tourneyCancelBtn.disabled = false;
+    try {
+      for (const m of job.matches) {
+        tourneyStatusEl.textContent = `${expected ? 'Verifying' : 'Playing'} match ${m.index + 1}/${job.matches.length}…`;
+        const r = await playMatch(spec, m, job);
+        if (!r) break;
+        job.results.push({ ...m, ...r });
+      }
+    } catch (err) { // e.g. an imported config the World rejects
+      job.failed = true;
+      toast(`Tournament stopped: ${err.message || err}`);
+    } finally {
+      finishTournament(job);
+    }
+  }
+
+  function finishTournament(job) {
+    job.running = false;
+    tourneyRunBtn.disabled = tourneyVerifyBtn.disabled = false; tourneyCancelBtn.disabled = true;
+    const secs = ((performance.now() - job.t0) / 1000).toFixed(1);
+    let note = `${job.cancelled ? 'Cancelled after' : job.failed ? 'Stopped after' : 'Finished'} ${job.results.length} of ${job.matches.length} matches in ${secs}s`;
+    if (job.expected) {
+      const key = r => JSON.stringify([r.winner, r.reason, r.tick, r.counts]);
+      const differ = job.results.filter(r => !job.expected[r.index] || key(r) !== key(job.expected[r.index]));
+      note = differ.length
+        ? `${differ.length} of ${job.results.length} matches differ from the export (first: #${differ[0].index + 1})`
+        : `All ${job.results.length} re-run matches reproduce the export`;
+      // Whether a deadline is met depends on the machine, so those mismatches are told apart
+      const late = differ.filter(r => r.late || (job.expected[r.index] && job.expected[r.index].late)).length;
+      if (late) note += ` • ${late} of them missed a reply deadline in one of the runs`;
+    }
+    tourneyStatusEl.textContent = note;
+    if (job.results.length) renderTournament(job);
+  }
+
+  /** Standings by points, then wins, then entities left at the end of every match. A double forfeit is a loss for both. */
+  function leaderboard(job) {
+    const rows = job.spec.entries.map((e, i) => ({ entry: i, name: e.name, played: 0, win: 0, draw: 0, loss: 0, points: 0, left: 0 }));
+    for (const r of job.results) {
+      r.sides.forEach((e, s) => {
+        const row = rows[e], res = r.winner === s ? 'win' : r.winner < 0 && r.reason !== 'forfeit' ? 'draw' : 'loss';
+        row.played++; row[res]++; row.points += POINTS[res]; row.left += r.counts[s];
+      });
+    }
+    return rows.sort((a, b) => b.points - a.points || b.win - a.win || b.left - a.left || a.entry - b.entry);
+  }
+
+  function matchLabel(job, r) {
+    const names = r.sides.map(e => job.spec.entries[e].name);
+    const who = r.winner >= 0 ? `${names[r.winner]} wins` : r.reason === 'forfeit' ? 'Both lose' : 'Draw';
+    return `${who} — ${r.reason} at ${fmtTime(r.tick)} (${r.counts.join('–')})`;
+  }
+
+  function renderTournament(job) {
+    tourneyResultsEl.hidden = false;
+    leaderboardEl.innerHTML = '<thead><tr><th>#</th><th>Entry</th><th>P</th><th>W</th><th>D</th><th>L</th><th>Pts</th><th>Left</th></tr></thead>';
+    const lb = document.createElement('tbody');
+    leaderboard(job).forEach((row, i) => {
+      const tr = document.createElement('tr');
+      [i + 1, row.name, row.played, row.win, row.draw, row.loss, row.points, row.left].forEach(v => {
+        const td = document.createElement('td'); td.textContent = String(v); tr.appendChild(td);
+      });
+      lb.appendChild(tr);
+    });
+    leaderboardEl.appendChild(lb);
+
+    matchTableEl.innerHTML = '<thead><tr><th>#</th><th>Seed</th><th>Left</th><th>Right</th><th>Result</th></tr></thead>';
+    const tb = document.createElement('tbody');
+    job.results.forEach(r => {
+      const tr = document.createElement('tr');
+      [r.index + 1, r.seed, job.spec.entries[r.sides[0]].name, job.spec.entries[r.sides[1]].name, matchLabel(job, r)].forEach(v => {
+        const td = document.createElement('td'); td.textContent = String(v); tr.appendChild(td);
+      });
+      if (r.error) tr.title = r.error;
+      else tr.title = 'Replay this match in the viewer';
+      tr.addEventListener('click', () => watchMatch(job, r));
+      tb.appendChild(tr);
+    });
+    matchTableEl.appendChild(tb);
+  }
+
+  /** Plays a match again with recording on and opens it in the replay viewer. */
+  async function watchMatch(job, m) {
+    if (job.running) { toast('Wait for the tournament to finish'); return; }
+    if (job.spec.config.types.join() !== TypeIds.join()) { toast('Apply the tournament\'s ruleset to watch its matches'); return; }
+    let r;
+    try { r = await playMatch(job.spec, m, { cancelled: false }, true); }
+    catch (err) { toast(`Could not replay the match: ${err.message || err}`); return; }
+    if (!r.recording.start) { toast(`Nothing to replay: ${r.error || 'the match ended before it started'}`); return; }
+    enterReplay(r.recording);
+    const names = m.sides.map(e => job.spec.entries[e].name);
+    toast(`Replaying ${names[0]} (left) vs ${names[1]} (right), seed ${m.seed}`);
+  }
+
+  function tourneyExport(job) {
+    return {
+      kind: 'rps-tournament', version: 1,
+      config: job.spec.config, budget: job.spec.budget, baseSeed: job.spec.baseSeed, seeds: job.spec.seeds,
+      steerEvery: STEER_EVERY, entries: job.spec.entries,
+      matches: job.results.map(({ index, sides, seed, winner, reason, tick, counts, error, late }) => ({ index, sides, seed, winner, reason, tick, counts, ...(error ? { error } : {}), ...(late ? { late } : {}) })),
+      leaderboard: leaderboard(job),
+    };
+  }
+
+  function parseTourneyExport(raw) {
+    if (!raw || raw.kind !== 'rps-tournament' || !Array.isArray(raw.entries) || !Array.isArray(raw.matches) || !Array.isArray(raw.seeds)) throw new Error('Not a tournament export');
+    if (raw.steerEvery !== STEER_EVERY) throw new Error(`Exported with steer() every ${raw.steerEvery} ticks; this version uses ${STEER_EVERY}`);
+    const spec = { config: raw.config, budget: raw.budget, baseSeed: raw.baseSeed, seeds: raw.seeds.map(String), entries: raw.entries.map(e => ({ name: String(e.name), code: String(e.code) })) };
+    return { spec, expected: Object.fromEntries(raw.matches.map(m => [m.index, m])) };
+  }
+
+  entrySelectEl.addEventListener('change', showEntry);
+  entryNameEl.addEventListener('change', () => {
+    const e = entries[entrySelectEl.selectedIndex];
+    if (!e || !entryNameEl.value.trim()) { showEntry(); return; }
+    e.name = entryNameEl.value.trim(); saveEntries(); fillEntrySelect();
+  });
+  entryCodeEl.addEventListener('input', () => {
+    const e = entries[entrySelectEl.selectedIndex];
+    if (e) { e.code = entryCodeEl.value; saveEntries(); }
+  });
+  newEntryBtn.addEventListener('click', () => addEntry('Entry', EXAMPLE_ENTRIES[0].code));
+  deleteEntryBtn.addEventListener('click', () => {
+    const i = entrySelectEl.selectedIndex;
+    if (!entries[i]) return;
+    entries.splice(i, 1); saveEntries(); fillEntrySelect(i);
+  });
+  importEntryBtn.addEventListener('click', () => importEntryFile.click());
+  importEntryFile.addEventListener('change', async () => {
+    const file = importEntryFile.files[0]; importEntryFile.value = '';
+    if (!file) return;
+    addEntry(file.name.replace(/\.[^.]*$/, '').slice(0, 40) || 'Entry', await file.text());
+    toast(`Imported "${entries[entries.length - 1].name}"`);
+  });
+  tourneyRunBtn.addEventListener('click', () => startTournament(tourneySpecFromControls()));
+  tourneyCancelBtn.addEventListener('click', () => { if (tourneyJob) tourneyJob.cancelled = true; });
+  tourneyExportBtn.addEventListener('click', () => {
+    if (!tourneyJob || !tourneyJob.results.length) { toast('Run a tournament first'); return; }
+    downloadFile(`rps-tournament-${tourneyJob.spec.baseSeed.replace(/[^\w-]+/g, '_')}.json`, JSON.stringify(tourneyExport(tourneyJob), null, 2));
+  });
+  tourneyVerifyBtn.addEventListener('click', () => tourneyVerifyFile.click());
+  tourneyVerifyFile.addEventListener('change', async () => {
+    const file = tourneyVerifyFile.files[0]; tourneyVerifyFile.value = '';
+    if (!file) return;
+    let parsed;
+    try { parsed = parseTourneyExport(JSON.parse(await file.text())); }
+    catch (err) { toast(`Verify failed: ${err.message}`); return; }
+    startTournament(parsed.spec, parsed.expected);
+  });
+
+  return {
+    /** Loads the stored entries into the editor; called once sim.js has loaded. */
+    init() { loadEntries(); fillEntrySelect(0); },
+  };
+})();